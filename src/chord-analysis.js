@@ -0,0 +1,358 @@
+const PITCH_CLASS_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+
+const CHORD_QUALITIES = [
+  { quality: "maj", suffix: "", intervals: [0, 4, 7] },
+  { quality: "min", suffix: "m", intervals: [0, 3, 7] },
+  { quality: "dim", suffix: "dim", intervals: [0, 3, 6] },
+  { quality: "aug", suffix: "aug", intervals: [0, 4, 8] },
+  { quality: "sus4", suffix: "sus4", intervals: [0, 5, 7] },
+  { quality: "sus2", suffix: "sus2", intervals: [0, 2, 7] },
+  { quality: "dom7", suffix: "7", intervals: [0, 4, 7, 10] },
+  { quality: "maj7", suffix: "maj7", intervals: [0, 4, 7, 11] },
+  { quality: "min7", suffix: "m7", intervals: [0, 3, 7, 10] },
+  { quality: "hdim7", suffix: "m7b5", intervals: [0, 3, 6, 10] },
+  { quality: "dim7", suffix: "dim7", intervals: [0, 3, 6, 9] },
+];
+
+// Plain triads win ties; sus/aug/dim need clearly better evidence.
+const QUALITY_BIAS = {
+  maj: 0.06,
+  min: 0.05,
+  dim: -0.04,
+  aug: -0.08,
+  sus4: -0.06,
+  sus2: -0.08,
+  dom7: 0,
+  maj7: -0.02,
+  min7: -0.01,
+  hdim7: -0.05,
+  dim7: -0.08,
+};
+
+const NO_CHORD = "N.C.";
+
+// Krumhansl-Kessler key profiles, indexed from the tonic.
+const MAJOR_KEY_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_KEY_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// Keep the previous chord while it explains the window almost as well, so passing tones do not flicker the chart.
+const HOLD_MARGIN = 0.12;
+
+function collectWindowProfile(notes, startTicks, endTicks) {
+  const weights = new Array(12).fill(0);
+  let bassMidi = null;
+  let bassWeight = 0;
+
+  for (const note of notes) {
+    const noteEnd = note.ticks + note.durationTicks;
+    const overlap = Math.min(noteEnd, endTicks) - Math.max(note.ticks, startTicks);
+    if (overlap <= 0) {
+      continue;
+    }
+
+    // Onsets inside the window count more than notes held over from before.
+    const attack = note.ticks >= startTicks ? 1.5 : 1;
+    const weight = overlap * attack * (Number.isFinite(note.velocity) ? 0.5 + note.velocity : 1);
+    weights[note.midi % 12] += weight;
+
+    if (bassMidi === null || note.midi < bassMidi || (note.midi === bassMidi && weight > bassWeight)) {
+      bassMidi = note.midi;
+      bassWeight = weight;
+    }
+  }
+
+  return { weights, bassMidi };
+}
+
+function scoreChordTemplate(weights, total, root, chord, bassPitchClass) {
+  const tones = chord.intervals.map((interval) => (root + interval) % 12);
+  const toneSet = new Set(tones);
+  let inside = 0;
+  let missing = 0;
+  for (const tone of tones) {
+    inside += weights[tone];
+    if (weights[tone] <= total * 0.02) {
+      missing += 1;
+    }
+  }
+
+  const outside = total - inside;
+  let score = (inside - outside * 0.8) / total - missing * 0.22 + QUALITY_BIAS[chord.quality];
+  if (weights[root] <= total * 0.02) {
+    score -= 0.2;
+  }
+  if (bassPitchClass === root) {
+    score += 0.12;
+  } else if (toneSet.has(bassPitchClass)) {
+    score += 0.03;
+  }
+  return score;
+}
+
+function nameChord(root, chord, bassPitchClass) {
+  const symbol = `${PITCH_CLASS_NAMES[root]}${chord.suffix}`;
+  if (bassPitchClass === null || bassPitchClass === root) {
+    return { symbol, inversion: 0 };
+  }
+
+  const position = chord.intervals.findIndex((interval) => (root + interval) % 12 === bassPitchClass);
+  return {
+    symbol: `${symbol}/${PITCH_CLASS_NAMES[bassPitchClass]}`,
+    inversion: position > 0 ? position : null,
+  };
+}
+
+function labelWindow(notes, startTicks, endTicks, previous) {
+  const { weights, bassMidi } = collectWindowProfile(notes, startTicks, endTicks);
+  const total = weights.reduce((sum, value) => sum + value, 0);
+  if (total <= 0) {
+    return {
+      symbol: NO_CHORD,
+      root: null,
+      quality: null,
+      bass: null,
+      inversion: null,
+      confidence: 0,
+    };
+  }
+
+  const bassPitchClass = bassMidi === null ? null : bassMidi % 12;
+  // Sevenths need three sounding pitch classes, so dyads and lone notes are named by a triad.
+  const soundingCount = weights.filter((weight) => weight > total * 0.02).length;
+  const candidates = CHORD_QUALITIES.filter((chord) => chord.intervals.length < 4 || soundingCount >= 3);
+  let best = null;
+  for (let root = 0; root < 12; root += 1) {
+    for (const chord of candidates) {
+      const score = scoreChordTemplate(weights, total, root, chord, bassPitchClass);
+      if (!best || score > best.score + 1e-9) {
+        best = { root, chord, score };
+      }
+    }
+  }
+  if (previous && previous.chord && candidates.includes(previous.chord)) {
+    const heldScore = scoreChordTemplate(weights, total, previous.root, previous.chord, bassPitchClass);
+    if (heldScore >= best.score - HOLD_MARGIN) {
+      best = { root: previous.root, chord: previous.chord, score: heldScore };
+    }
+  }
+
+  const { symbol, inversion } = nameChord(best.root, best.chord, bassPitchClass);
+  return {
+    symbol,
+    root: PITCH_CLASS_NAMES[best.root],
+    quality: best.chord.quality,
+    bass: bassPitchClass === null ? null : PITCH_CLASS_NAMES[bassPitchClass],
+    inversion,
+    confidence: Math.max(0, Math.min(1, best.score)),
+    choice: { root: best.root, chord: best.chord },
+  };
+}
+
+/**
+ * Labels chords over pooled notes, one window per beat or per bar.
+ * Consecutive windows with the same symbol are merged within a bar, so every bar starts a new span.
+ *
+ * @param {Array<{ midi: number, ticks: number, durationTicks: number, velocity?: number }>} notes
+ * @param {object} options
+ * @param {number} options.ppq Ticks per quarter note.
+ * @param {"beat"|"bar"} [options.resolution="beat"]
+ * @param {number} [options.beatsPerBar=4]
+ * @param {number} [options.beatTicks=ppq]
+ * @param {number} [options.totalTicks] Analysis end; defaults to the last note end.
+ * @returns {Array<{ startTicks: number, endTicks: number, bar: number, beat: number, symbol: string, root: string|null,
+ *   quality: string|null, bass: string|null, inversion: number|null, confidence: number }>}
+ */
+function detectChords(notes, options) {
+  const ppq = options.ppq;
+  const beatTicks = Number.isFinite(options.beatTicks) && options.beatTicks > 0 ? options.beatTicks : ppq;
+  const beatsPerBar = Number.isInteger(options.beatsPerBar) && options.beatsPerBar > 0 ? options.beatsPerBar : 4;
+  const barTicks = beatTicks * beatsPerBar;
+  const windowTicks = options.resolution === "bar" ? barTicks : beatTicks;
+  const notesEnd = (notes || []).reduce((max, note) => Math.max(max, note.ticks + note.durationTicks), 0);
+  const totalTicks = Number.isFinite(options.totalTicks) && options.totalTicks > 0 ? options.totalTicks : notesEnd;
+
+  const sorted = (notes || []).slice().sort((a, b) => a.ticks - b.ticks);
+  const spans = [];
+  let cursor = 0;
+  let previousChoice = null;
+  for (let startTicks = 0; startTicks < totalTicks; startTicks += windowTicks) {
+    const endTicks = Math.min(totalTicks, startTicks + windowTicks);
+    while (cursor < sorted.length && sorted[cursor].ticks + sorted[cursor].durationTicks <= startTicks) {
+      cursor += 1;
+    }
+    const windowNotes = [];
+    for (let i = cursor; i < sorted.length && sorted[i].ticks < endTicks; i += 1) {
+      windowNotes.push(sorted[i]);
+    }
+
+    const { choice, ...label } = labelWindow(windowNotes, startTicks, endTicks, previousChoice);
+    previousChoice = choice || null;
+    const previous = spans[spans.length - 1];
+    if (previous && previous.symbol === label.symbol && startTicks % barTicks !== 0) {
+      previous.endTicks = endTicks;
+      continue;
+    }
+
+    spans.push({
+      startTicks,
+      endTicks,
+      bar: Math.floor(startTicks / barTicks) + 1,
+      beat: Math.floor((startTicks % barTicks) / beatTicks) + 1,
+      ...label,
+    });
+  }
+
+  return spans;
+}
+
+function getChordPitchClasses(chord) {
+  const shape = chord ? CHORD_QUALITIES.find((item) => item.quality === chord.quality) : null;
+  const root = chord ? PITCH_CLASS_NAMES.indexOf(chord.root) : -1;
+  if (!shape || root < 0) {
+    return [];
+  }
+  return shape.intervals.map((interval) => (root + interval) % 12);
+}
+
+function getPitchClassIndex(name) {
+  return PITCH_CLASS_NAMES.indexOf(name);
+}
+
+function correlate(a, b) {
+  const meanA = a.reduce((sum, value) => sum + value, 0) / a.length;
+  const meanB = b.reduce((sum, value) => sum + value, 0) / b.length;
+  let numerator = 0;
+  let denomA = 0;
+  let denomB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    numerator += (a[i] - meanA) * (b[i] - meanB);
+    denomA += (a[i] - meanA) ** 2;
+    denomB += (b[i] - meanB) ** 2;
+  }
+  return denomA > 0 && denomB > 0 ? numerator / Math.sqrt(denomA * denomB) : 0;
+}
+
+function formatKeyName(tonic, mode) {
+  return `${PITCH_CLASS_NAMES[((tonic % 12) + 12) % 12]}${mode === "minor" ? "m" : ""}`;
+}
+
+/**
+ * Estimates the key with the Krumhansl-Schmuckler algorithm over a duration-weighted pitch-class histogram.
+ *
+ * @returns {{ tonic: string, pitchClass: number, mode: "major"|"minor", name: string, correlation: number }|null}
+ *   `name` is the tonic plus `m` for minor (for example `D`, `Bm`); null when there are no notes.
+ */
+function estimateKey(notes) {
+  const histogram = new Array(12).fill(0);
+  for (const note of notes || []) {
+    histogram[((note.midi % 12) + 12) % 12] += Math.max(1, note.durationTicks || 0);
+  }
+  if (histogram.every((value) => value === 0)) {
+    return null;
+  }
+
+  let best = null;
+  for (let tonic = 0; tonic < 12; tonic += 1) {
+    const rotated = histogram.map((_, index) => histogram[(index + tonic) % 12]);
+    for (const [mode, profile] of [["major", MAJOR_KEY_PROFILE], ["minor", MINOR_KEY_PROFILE]]) {
+      const correlation = correlate(rotated, profile);
+      if (!best || correlation > best.correlation + 1e-9) {
+        best = { pitchClass: tonic, mode, correlation };
+      }
+    }
+  }
+
+  return {
+    tonic: PITCH_CLASS_NAMES[best.pitchClass],
+    pitchClass: best.pitchClass,
+    mode: best.mode,
+    name: formatKeyName(best.pitchClass, best.mode),
+    correlation: best.correlation,
+  };
+}
+
+function transposeKey(key, semitones) {
+  if (!key) {
+    return null;
+  }
+  const pitchClass = (((key.pitchClass + semitones) % 12) + 12) % 12;
+  return {
+    ...key,
+    tonic: PITCH_CLASS_NAMES[pitchClass],
+    pitchClass,
+    name: formatKeyName(pitchClass, key.mode),
+  };
+}
+
+function groupChordsByBar(chords, barCount) {
+  const bars = Array.from({ length: barCount }, () => []);
+  for (const chord of chords) {
+    if (chord.bar - 1 < bars.length) {
+      bars[chord.bar - 1].push(chord.symbol);
+    }
+  }
+  return bars.map((symbols) => (symbols.length > 0 ? symbols : [NO_CHORD]));
+}
+
+function countBars(chords, options) {
+  const beatTicks = Number.isFinite(options.beatTicks) && options.beatTicks > 0 ? options.beatTicks : options.ppq;
+  const beatsPerBar = Number.isInteger(options.beatsPerBar) && options.beatsPerBar > 0 ? options.beatsPerBar : 4;
+  const endTicks = chords.reduce((max, chord) => Math.max(max, chord.endTicks), 0);
+  return Math.max(1, Math.ceil(endTicks / (beatTicks * beatsPerBar)));
+}
+
+function renderChordChart(chords, options) {
+  const barsPerLine = options.barsPerLine || 4;
+  const bars = groupChordsByBar(chords, countBars(chords, options));
+  const lines = ["和弦譜Chords:"];
+  for (let i = 0; i < bars.length; i += barsPerLine) {
+    const cells = bars.slice(i, i + barsPerLine).map((symbols) => ` ${symbols.join(" ")} `);
+    lines.push(`${String(i + 1).padStart(3)} |${cells.join("|")}|`);
+  }
+  return lines.join("\n");
+}
+
+function renderLeadSheet(chords, melodyNotes, options) {
+  const beatTicks = Number.isFinite(options.beatTicks) && options.beatTicks > 0 ? options.beatTicks : options.ppq;
+  const beatsPerBar = Number.isInteger(options.beatsPerBar) && options.beatsPerBar > 0 ? options.beatsPerBar : 4;
+  const barTicks = beatTicks * beatsPerBar;
+  const barsPerLine = options.barsPerLine || 4;
+  const bars = groupChordsByBar(chords, countBars(chords, options));
+
+  const melodyByBar = bars.map(() => []);
+  for (const note of (melodyNotes || []).slice().sort((a, b) => a.ticks - b.ticks)) {
+    const barIndex = Math.floor(note.ticks / barTicks);
+    if (barIndex < melodyByBar.length) {
+      melodyByBar[barIndex].push(`${PITCH_CLASS_NAMES[note.midi % 12]}${Math.floor(note.midi / 12) - 1}`);
+    }
+  }
+
+  const header = [
+    `Title: ${options.title || ""}`,
+    `Tempo: ${Number.isFinite(options.bpm) ? Math.round(options.bpm) : ""}`,
+    `Time: ${beatsPerBar}/${Math.round((options.ppq * 4) / beatTicks)}`,
+    "",
+  ];
+  const body = [];
+  for (let i = 0; i < bars.length; i += barsPerLine) {
+    const range = bars.slice(i, i + barsPerLine).map((_, offset) => i + offset);
+    const chordCells = range.map((index) => bars[index].join(" "));
+    const melodyCells = range.map((index) => melodyByBar[index].join(" ") || "-");
+    const widths = range.map((_, offset) => Math.max(chordCells[offset].length, melodyCells[offset].length));
+    body.push(`${String(i + 1).padStart(3)} | ${chordCells.map((cell, offset) => cell.padEnd(widths[offset])).join(" | ")} |`);
+    body.push(`    | ${melodyCells.map((cell, offset) => cell.padEnd(widths[offset])).join(" | ")} |`);
+    body.push("");
+  }
+  return header.concat(body).join("\n");
+}
+
+module.exports = {
+  NO_CHORD,
+  detectChords,
+  estimateKey,
+  getChordPitchClasses,
+  getPitchClassIndex,
+  renderChordChart,
+  renderLeadSheet,
+  transposeKey,
+};
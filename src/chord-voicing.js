@@ -0,0 +1,175 @@
+const { getChordPitchClasses, getPitchClassIndex } = require("./chord-analysis.js");
+
+const VOICING_STYLES = ["block", "arpeggio", "alberti", "root-fifth", "broken"];
+
+const VOICING_MODES = ["replace", "fill"];
+
+// Density levels, richest first: 0 = eighth-note figures, 1 = quarter-note figures, 2 = held chords.
+const VOICING_LEVEL_COUNT = 3;
+
+const BASS_FLOOR = 40;
+const UPPER_FLOOR = 55;
+const VOICING_VELOCITY = 0.6;
+
+function placeAbove(pitchClass, floor) {
+  return floor + ((((pitchClass - floor) % 12) + 12) % 12);
+}
+
+function voiceChord(chord) {
+  const pitchClasses = getChordPitchClasses(chord);
+  if (pitchClasses.length === 0) {
+    return null;
+  }
+
+  const upper = [];
+  let previous = UPPER_FLOOR - 1;
+  for (const pitchClass of pitchClasses) {
+    const midi = placeAbove(pitchClass, previous + 1);
+    upper.push(midi);
+    previous = midi;
+  }
+
+  const bassPitchClass = chord.bass ? getPitchClassIndex(chord.bass) : pitchClasses[0];
+  const bass = placeAbove(bassPitchClass >= 0 ? bassPitchClass : pitchClasses[0], BASS_FLOOR);
+  return {
+    bass,
+    fifth: placeAbove(pitchClasses[2], bass + 1),
+    upper,
+  };
+}
+
+function getStylePattern(style, voicing, level, beatTicks) {
+  const [root, third, fifth] = voicing.upper;
+  const figureStep = [beatTicks / 2, beatTicks, 0][level];
+  const bassHold = { step: 0, pick: () => voicing.bass };
+
+  if (style === "arpeggio") {
+    const arpeggio = voicing.upper.concat(root + 12);
+    return { upper: { step: figureStep, pick: (index) => arpeggio[index % arpeggio.length] }, bass: bassHold };
+  }
+  if (style === "alberti") {
+    const figure = [root, fifth, third, fifth];
+    return { upper: { step: figureStep, pick: (index) => figure[index % figure.length] }, bass: bassHold };
+  }
+  if (style === "broken") {
+    const figure = [root, third, fifth, third];
+    return { upper: { step: figureStep, pick: (index) => figure[index % figure.length] }, bass: bassHold };
+  }
+  // Each part sounds one note at a time, so chord voices take the tones above the bass in turn.
+  const upperTones = voicing.upper.filter((midi) => midi % 12 !== voicing.bass % 12);
+  const strikeStep = [beatTicks, beatTicks * 2, 0][level];
+  if (style === "root-fifth") {
+    return {
+      // "Oom-pah": the upper voice answers on the off beats while the bass alternates root and fifth.
+      upper: level === 0
+        ? { step: beatTicks, pick: (index) => (index % 2 === 1 ? upperTones[((index - 1) / 2) % upperTones.length] : null) }
+        : { step: strikeStep, pick: (index) => upperTones[index % upperTones.length] },
+      bass: { step: strikeStep, pick: (index) => (index % 2 === 0 ? voicing.bass : voicing.fifth) },
+    };
+  }
+
+  // Block chords strike bass and upper voice together.
+  return {
+    upper: { step: strikeStep, pick: (index) => upperTones[index % upperTones.length] },
+    bass: { step: strikeStep, pick: () => voicing.bass },
+  };
+}
+
+function emitLine(target, line, span, barTicks) {
+  if (!line.step) {
+    const midi = line.pick(0);
+    if (midi !== null) {
+      target.push({ midi, ticks: span.startTicks, durationTicks: span.endTicks - span.startTicks, velocity: VOICING_VELOCITY });
+    }
+    return;
+  }
+
+  for (let tick = span.startTicks; tick < span.endTicks; tick += line.step) {
+    const index = Math.floor((tick % barTicks) / line.step);
+    const midi = line.pick(index);
+    if (midi === null) {
+      continue;
+    }
+    target.push({
+      midi,
+      ticks: tick,
+      durationTicks: Math.min(line.step, span.endTicks - tick),
+      velocity: VOICING_VELOCITY,
+    });
+  }
+}
+
+/**
+ * Generates Chord1 (upper figure) and Chord2 (bass) lines from `detectChords` spans.
+ * Ticks in the result are relative to `options.startTicks`; anything outside the range is dropped.
+ *
+ * @param {Array<object>} chords Spans from `detectChords`.
+ * @param {object} options
+ * @param {"block"|"arpeggio"|"alberti"|"root-fifth"|"broken"} options.style
+ * @param {number} [options.level=0] Density level, 0 (richest) .. `VOICING_LEVEL_COUNT - 1` (held chords).
+ * @param {number} options.ppq
+ * @param {number} [options.beatTicks=ppq]
+ * @param {number} [options.beatsPerBar=4]
+ * @param {number} [options.startTicks=0]
+ * @param {number} [options.endTicks=Infinity]
+ * @returns {{ chord1: Array<object>, chord2: Array<object> }}
+ */
+function generateVoicing(chords, options) {
+  const beatTicks = Number.isFinite(options.beatTicks) && options.beatTicks > 0 ? options.beatTicks : options.ppq;
+  const beatsPerBar = Number.isInteger(options.beatsPerBar) && options.beatsPerBar > 0 ? options.beatsPerBar : 4;
+  const barTicks = beatTicks * beatsPerBar;
+  const level = Math.min(VOICING_LEVEL_COUNT - 1, Math.max(0, options.level || 0));
+  const startTicks = options.startTicks || 0;
+  const endTicks = Number.isFinite(options.endTicks) ? options.endTicks : Infinity;
+
+  const chord1 = [];
+  const chord2 = [];
+  for (const chord of chords || []) {
+    const spanStart = Math.max(chord.startTicks, startTicks);
+    const spanEnd = Math.min(chord.endTicks, endTicks);
+    const voicing = spanEnd > spanStart ? voiceChord(chord) : null;
+    if (!voicing) {
+      continue;
+    }
+
+    const pattern = getStylePattern(options.style, voicing, level, beatTicks);
+    const span = { startTicks: spanStart, endTicks: spanEnd };
+    emitLine(chord1, pattern.upper, span, barTicks);
+    emitLine(chord2, pattern.bass, span, barTicks);
+  }
+
+  const shift = (notes) => notes.map((note) => ({ ...note, ticks: note.ticks - startTicks }));
+  return {
+    chord1: shift(chord1),
+    chord2: shift(chord2),
+  };
+}
+
+/**
+ * Combines source accompaniment with a generated line. `replace` drops the source notes;
+ * `fill` keeps them and only adds generated notes inside chord spans where the source is silent.
+ */
+function applyVoicing(sourceNotes, generatedNotes, chords, mode, startTicks = 0) {
+  if (mode !== "fill") {
+    return generatedNotes.slice();
+  }
+
+  const source = sourceNotes || [];
+  const silentSpans = (chords || [])
+    .map((chord) => ({ startTicks: chord.startTicks - startTicks, endTicks: chord.endTicks - startTicks }))
+    .filter((span) => span.endTicks > 0 && !source.some((note) => (
+      note.ticks < span.endTicks && note.ticks + note.durationTicks > span.startTicks
+    )));
+  const fillers = generatedNotes.filter((note) => silentSpans.some((span) => (
+    note.ticks >= span.startTicks && note.ticks < span.endTicks
+  )));
+  return source.concat(fillers).sort((a, b) => a.ticks - b.ticks || a.midi - b.midi);
+}
+
+module.exports = {
+  VOICING_LEVEL_COUNT,
+  VOICING_MODES,
+  VOICING_STYLES,
+  applyVoicing,
+  generateVoicing,
+};
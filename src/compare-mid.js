@@ -0,0 +1,653 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const path = require("path");
+const { Midi } = require("@tonejs/midi");
+const { GM_DRUM_MAP, mapDrumNotes } = require("./drum-map.js");
+const {
+  buildConvertOptions,
+  buildStepSequence,
+  collectTrackStats,
+  convertMidi,
+  evaluateSequenceFidelity,
+  mergeTrackNotes,
+  parseArgs: parseConvertArgs,
+  readMeter,
+} = require("./mid-to-chord.js");
+const { DRUM_PART, findTrackRole, loadProfile, resolveMetadataProfile } = require("./mml-profiles.js");
+const { extractSegmentsFromMarkdown, parseMml, resolvePartLayout } = require("./result-to-mid.js");
+
+const DEFAULT_REBUILT = "Result.mid";
+const DEFAULT_OUTPUT = "Compare.md";
+
+const PERCUSSION_CHANNEL = 9;
+
+const BARS_PER_HEATMAP_LINE = 16;
+
+// Per-bar recall shades, best first; bars without source notes stay blank.
+const HEATMAP_SHADES = [
+  { min: 0.9, mark: "█" },
+  { min: 0.7, mark: "▓" },
+  { min: 0.4, mark: "▒" },
+  { min: 1e-9, mark: "░" },
+  { min: 0, mark: "·" },
+];
+
+// Bars below this recall are grouped into lost regions.
+const LOST_REGION_RECALL = 0.5;
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const parsed = {
+    source: null,
+    rebuilt: null,
+    score: null,
+    output: null,
+    json: null,
+    tolerance: null,
+    convertArgs: null,
+    help: false,
+  };
+
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+
+    if (arg === "-h" || arg === "--help") {
+      parsed.help = true;
+      continue;
+    }
+
+    if (arg === "--") {
+      parsed.convertArgs = args.slice(i + 1);
+      break;
+    }
+
+    if (arg === "-s" || arg === "--score") {
+      parsed.score = args[i + 1] || null;
+      i += 1;
+      continue;
+    }
+
+    if (arg === "-o" || arg === "--output") {
+      parsed.output = args[i + 1] || null;
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--json") {
+      parsed.json = args[i + 1] || null;
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--tolerance") {
+      const rawTolerance = args[i + 1];
+      const tolerance = Number.parseInt(rawTolerance || "", 10);
+      if (!Number.isInteger(tolerance) || tolerance < 0) {
+        throw new Error(`Invalid tolerance value: ${rawTolerance}`);
+      }
+      parsed.tolerance = tolerance;
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("-")) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+
+    if (!parsed.source) {
+      parsed.source = arg;
+    } else if (!parsed.rebuilt) {
+      parsed.rebuilt = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  if (!parsed.help && !parsed.source) {
+    throw new Error("Missing source MIDI file.");
+  }
+  parsed.rebuilt = parsed.rebuilt || DEFAULT_REBUILT;
+  parsed.output = parsed.output || DEFAULT_OUTPUT;
+  return parsed;
+}
+
+function printHelp() {
+  console.log(
+    [
+      "Usage:",
+      "  node src/compare-mid.js <source.mid> [Result.mid]",
+      "  node src/compare-mid.js <source.mid> Result.mid -s Result.md -o Compare.md --json Compare.json",
+      "  node src/compare-mid.js <source.mid> Result.mid -- -c --voicing block",
+      "",
+      "Default rebuilt/output:",
+      "  Rebuilt: Result.mid",
+      "  Score  : <rebuilt>.md when it exists (needed for truncation points)",
+      "  Output : Compare.md, plus Compare.json next to it",
+      "",
+      "Options:",
+      "  -s, --score FILE    Result.md the rebuilt MIDI came from",
+      "  -o, --output FILE   Text report path",
+      "  --json FILE         JSON report path (default: output with .json extension)",
+      "  --tolerance TICKS   Onset window for matching notes, in source ticks (default: an eighth note)",
+      "  -- OPTIONS          mid-to-chord options the score was made with (default: read from #META)",
+    ].join("\n"),
+  );
+}
+
+function resolveTrackRole(track) {
+  const role = findTrackRole(track.name);
+  if (role) {
+    return role;
+  }
+  if (track.channel === PERCUSSION_CHANNEL) {
+    return DRUM_PART.role;
+  }
+  return track.name ? String(track.name).toLowerCase() : "part";
+}
+
+function collectRebuiltParts(midi, ppq) {
+  const scale = ppq / (midi.header.ppq || 480);
+  const parts = new Map();
+  for (const track of midi.tracks) {
+    if (track.notes.length === 0) {
+      continue;
+    }
+    const role = resolveTrackRole(track);
+    const notes = parts.get(role) || [];
+    for (const note of track.notes) {
+      notes.push({
+        midi: note.midi,
+        ticks: Math.round(note.ticks * scale),
+        durationTicks: Math.max(1, Math.round(note.durationTicks * scale)),
+      });
+    }
+    parts.set(role, notes);
+  }
+  for (const notes of parts.values()) {
+    notes.sort((a, b) => a.ticks - b.ticks || a.midi - b.midi);
+  }
+  return parts;
+}
+
+function noteKey(note) {
+  return `${Math.round(note.ticks)}:${note.midi}`;
+}
+
+function sortNotes(notes) {
+  return notes.slice().sort((a, b) => a.ticks - b.ticks || a.midi - b.midi);
+}
+
+/**
+ * `convertMidi` options that reproduce the score: the mid-to-chord arguments when given, otherwise what `#META`
+ * records (players, split, profile, transpose, drums).
+ */
+function resolveConvertOptions(metadata, convertArgs) {
+  if (convertArgs) {
+    const parsed = parseConvertArgs(["node", "mid-to-chord.js"].concat(convertArgs));
+    return buildConvertOptions(parsed, loadProfile(parsed.profile));
+  }
+  // `#META` keeps negative numbers as strings.
+  const transpose = Number.parseInt(metadata.transpose, 10);
+  return {
+    players: Number.parseInt(metadata.players, 10) || 1,
+    splitMode: metadata.split === "sequential" ? "sequential" : "parallel",
+    profile: resolveMetadataProfile(metadata),
+    transpose: Number.isInteger(transpose) ? transpose : undefined,
+    drums: metadata.drums || undefined,
+  };
+}
+
+/**
+ * Each rebuilt part is measured against the notes `convertMidi` encoded into it (after rebalancing, part hints,
+ * voicing, folding and the ensemble split), placed back on the source timeline. The total covers every source note.
+ */
+function buildSourceReferences(sourceMidi, trackStats, meter, options) {
+  const conversion = convertMidi(sourceMidi, options.convert);
+  const byRole = {};
+  for (const player of conversion.players) {
+    for (const [role, part] of Object.entries(player.parts)) {
+      const notes = part.sourceNotes.map((note) => ({ ...note, ticks: note.ticks + player.startTicks }));
+      byRole[role] = (byRole[role] || []).concat(notes);
+    }
+  }
+
+  const transpose = conversion.key ? conversion.key.transpose : 0;
+  const pitchedTracks = trackStats.filter((track) => !track.isPercussion);
+  const pitched = mergeTrackNotes(pitchedTracks.length > 0 ? pitchedTracks : trackStats)
+    .map((note) => ({ ...note, midi: note.midi + transpose }));
+  const drums = conversion.drums
+    ? mapDrumNotes(mergeTrackNotes(trackStats.filter((track) => track.isPercussion)), GM_DRUM_MAP, meter.beatTicks)
+    : [];
+  return {
+    all: pitched.concat(drums),
+    byRole,
+    transpose,
+  };
+}
+
+// Both lists are walked in onset order: the candidate scan stops at the first note past the window.
+function matchNotes(reference, candidate, tolerance) {
+  const candidatesByPitch = new Map();
+  for (const note of sortNotes(candidate)) {
+    const list = candidatesByPitch.get(note.midi) || [];
+    list.push(note);
+    candidatesByPitch.set(note.midi, list);
+  }
+
+  const used = new Set();
+  const pairs = [];
+  for (const note of sortNotes(reference)) {
+    let best = null;
+    for (const other of candidatesByPitch.get(note.midi) || []) {
+      if (other.ticks < note.ticks - tolerance || used.has(other)) {
+        continue;
+      }
+      if (other.ticks > note.ticks + tolerance) {
+        break;
+      }
+      if (!best || Math.abs(other.ticks - note.ticks) < Math.abs(best.ticks - note.ticks)) {
+        best = other;
+      }
+    }
+    if (best) {
+      used.add(best);
+      pairs.push({ reference: note, candidate: best, drift: best.ticks - note.ticks });
+    }
+  }
+  return {
+    pairs,
+    matchedReference: new Set(pairs.map((pair) => noteKey(pair.reference))),
+    matchedCandidate: used,
+  };
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? part / whole : null;
+}
+
+function summarizeDrift(pairs) {
+  if (pairs.length === 0) {
+    return { mean: null, meanAbs: null, max: null, maxTicks: null };
+  }
+  let sum = 0;
+  let sumAbs = 0;
+  let worst = pairs[0];
+  for (const pair of pairs) {
+    sum += pair.drift;
+    sumAbs += Math.abs(pair.drift);
+    if (Math.abs(pair.drift) > Math.abs(worst.drift)) {
+      worst = pair;
+    }
+  }
+  return {
+    mean: sum / pairs.length,
+    meanAbs: sumAbs / pairs.length,
+    max: worst.drift,
+    maxTicks: worst.reference.ticks,
+  };
+}
+
+// Relative to the reference's score against itself, so 1 is an exact copy and 0 is as bad as it gets.
+function measureFidelity(reference, candidate, stepTicks, mode) {
+  if (reference.length === 0 || candidate.length === 0) {
+    return null;
+  }
+  const endTicks = Math.max(
+    ...reference.map((note) => note.ticks + note.durationTicks),
+    ...candidate.map((note) => note.ticks + note.durationTicks),
+  );
+  const referenceSequence = buildStepSequence(reference, stepTicks, mode, endTicks);
+  const score = evaluateSequenceFidelity(
+    referenceSequence,
+    stepTicks,
+    buildStepSequence(candidate, stepTicks, mode, endTicks),
+    stepTicks,
+  );
+  const perfect = evaluateSequenceFidelity(referenceSequence, stepTicks, referenceSequence, stepTicks);
+  return Number.isFinite(score) && perfect > 0 ? Math.min(1, Math.max(0, score / perfect)) : null;
+}
+
+function summarizeMatch(reference, candidate, match) {
+  return {
+    sourceNotes: reference.length,
+    rebuiltNotes: candidate.length,
+    matched: match.pairs.length,
+    recall: ratio(match.pairs.length, reference.length),
+    precision: ratio(match.pairs.length, candidate.length),
+    drift: summarizeDrift(match.pairs),
+  };
+}
+
+function countByBar(notes, barTicks, barCount, predicate = () => true) {
+  const counts = new Array(barCount).fill(0);
+  for (const note of notes) {
+    const bar = Math.floor(note.ticks / barTicks);
+    if (bar >= 0 && bar < barCount && predicate(note)) {
+      counts[bar] += 1;
+    }
+  }
+  return counts;
+}
+
+function buildBarStats(reference, candidate, match, barTicks, barCount) {
+  const sourceCounts = countByBar(reference, barTicks, barCount);
+  const matchedCounts = countByBar(reference, barTicks, barCount, (note) => match.matchedReference.has(noteKey(note)));
+  const rebuiltCounts = countByBar(candidate, barTicks, barCount);
+  return sourceCounts.map((sourceNotes, index) => ({
+    sourceNotes,
+    rebuiltNotes: rebuiltCounts[index],
+    matched: matchedCounts[index],
+  }));
+}
+
+function findLostRegions(barStats) {
+  const regions = [];
+  let current = null;
+  barStats.forEach((stats, index) => {
+    const lost = stats.sourceNotes - stats.matched;
+    if (lost > 0 && stats.matched / stats.sourceNotes < LOST_REGION_RECALL) {
+      if (!current) {
+        current = { startBar: index + 1, endBar: index + 1, lost: 0, sourceNotes: 0 };
+        regions.push(current);
+      }
+      current.endBar = index + 1;
+      current.lost += lost;
+      current.sourceNotes += stats.sourceNotes;
+      return;
+    }
+    current = null;
+  });
+  return regions;
+}
+
+function findTruncationPoints(payload, context) {
+  const metadata = payload.metadata;
+  const ppq = Number.isInteger(metadata.ppq) && metadata.ppq > 0 ? metadata.ppq : context.ppq;
+  const layout = resolvePartLayout(metadata) || [];
+  const parallel = String(metadata.split || "").toLowerCase() === "parallel";
+
+  const points = [];
+  let segmentStart = 0;
+  payload.segments.forEach((segment, segmentIndex) => {
+    const parsedParts = segment.parts.map((text) => parseMml(text));
+    const producedTicks = Math.round(Math.max(...parsedParts.map((part) => part.totalBeats), 0) * ppq);
+    const segmentTicks = segment.segmentTicks || producedTicks;
+    parsedParts.forEach((part, partIndex) => {
+      const endTicks = Math.round(part.totalBeats * ppq);
+      if (endTicks >= segmentTicks) {
+        return;
+      }
+      const role = findTrackRole(layout[partIndex]) || `part${partIndex + 1}`;
+      const cutoffTicks = segmentStart + endTicks;
+      const segmentEnd = segmentStart + segmentTicks;
+      // A part that simply ran out of source notes is not a truncation: only count notes nothing else picked up.
+      const lostAfter = (context.references[role] || []).filter((note) => (
+        note.ticks >= cutoffTicks && note.ticks < segmentEnd && !context.matchedNotes.has(noteKey(note))
+      )).length;
+      if (lostAfter > 0) {
+        points.push({ player: segmentIndex + 1, role, ticks: cutoffTicks, lostAfter });
+      }
+    });
+    if (!parallel) {
+      segmentStart += segmentTicks;
+    }
+  });
+  return points;
+}
+
+function readScore(scorePath) {
+  try {
+    return extractSegmentsFromMarkdown(fs.readFileSync(scorePath, "utf8"));
+  } catch (error) {
+    throw new Error(`無法解析總譜: ${error.message}`);
+  }
+}
+
+/**
+ * Compares a source MIDI with the MIDI rebuilt from its `Result.md` and measures what the round trip kept.
+ * Notes match one-to-one on pitch (after the score's `transpose`) and onset within `tolerance`; `fidelity` is 0..1.
+ *
+ * @param {string} sourcePath Original MIDI.
+ * @param {string} rebuiltPath MIDI written by `result-to-mid`.
+ * @param {object} [options]
+ * @param {string} [options.score] `Result.md` the rebuilt MIDI came from; enables truncation points and `transpose`.
+ * @param {number} [options.tolerance] Onset window in source ticks (default: an eighth note).
+ * @param {object} [options.convert] `convertMidi` options the score was made with (default: from `#META`).
+ * @returns {object} Report with `total`, `parts`, `truncations`, `lostRegions` and per-bar `bars`; `renderCompareReport`
+ *   turns it into text.
+ */
+function compareMidi(sourcePath, rebuiltPath, options = {}) {
+  const sourceMidi = new Midi(fs.readFileSync(sourcePath));
+  const rebuiltMidi = new Midi(fs.readFileSync(rebuiltPath));
+  const meter = readMeter(sourceMidi);
+  const ppq = meter.ppq;
+  const barTicks = meter.beatTicks * meter.beatsPerBar;
+  const tolerance = Number.isInteger(options.tolerance) ? options.tolerance : Math.round(ppq / 2);
+
+  const score = options.score ? readScore(options.score) : null;
+  const scoreMetadata = score ? score.metadata : {};
+
+  const trackStats = collectTrackStats(sourceMidi);
+  if (trackStats.length === 0) {
+    throw new Error("原始 MIDI 沒有可用的音符資料。");
+  }
+  const rebuiltParts = collectRebuiltParts(rebuiltMidi, ppq);
+  const references = buildSourceReferences(sourceMidi, trackStats, meter, {
+    convert: options.convert || resolveConvertOptions(scoreMetadata, null),
+  });
+  const transpose = references.transpose;
+  const rebuiltAll = sortNotes(Array.from(rebuiltParts.values()).flat());
+
+  const totalMatch = matchNotes(references.all, rebuiltAll, tolerance);
+  const endTicks = Math.max(
+    ...references.all.map((note) => note.ticks + note.durationTicks),
+    ...rebuiltAll.map((note) => note.ticks + note.durationTicks),
+    1,
+  );
+  const barCount = Math.ceil(endTicks / barTicks);
+  const stepTicks = Math.max(1, Math.round(ppq / 4));
+
+  const parts = Array.from(rebuiltParts.entries()).map(([role, candidate]) => {
+    const reference = references.byRole[role] || [];
+    const match = matchNotes(reference, candidate, tolerance);
+    return {
+      role,
+      ...summarizeMatch(reference, candidate, match),
+      fidelity: measureFidelity(reference, candidate, stepTicks, role),
+      bars: buildBarStats(reference, candidate, match, barTicks, barCount),
+    };
+  });
+
+  const totalBars = buildBarStats(references.all, rebuiltAll, totalMatch, barTicks, barCount);
+  const truncations = score
+    ? findTruncationPoints(score, {
+      ppq,
+      references: references.byRole,
+      matchedNotes: totalMatch.matchedReference,
+    })
+    : null;
+
+  return {
+    source: sourcePath,
+    rebuilt: rebuiltPath,
+    score: options.score || null,
+    ppq,
+    meter: { beatsPerBar: meter.beatsPerBar, beatTicks: meter.beatTicks },
+    tolerance,
+    transpose,
+    total: summarizeMatch(references.all, rebuiltAll, totalMatch),
+    parts: parts.map(({ bars, ...part }) => part),
+    truncations,
+    lostRegions: findLostRegions(totalBars),
+    bars: totalBars.map((stats, index) => ({
+      bar: index + 1,
+      ...stats,
+      parts: Object.fromEntries(parts.map((part) => [part.role, part.bars[index]])),
+    })),
+  };
+}
+
+function formatPercent(value) {
+  return value === null ? "-" : `${(value * 100).toFixed(1)}%`;
+}
+
+function formatDrift(drift) {
+  if (drift.mean === null) {
+    return "-";
+  }
+  const mean = drift.mean >= 0 ? `+${drift.mean.toFixed(1)}` : drift.mean.toFixed(1);
+  return `${mean}（絕對 ${drift.meanAbs.toFixed(1)}，最大 ${drift.max}）`;
+}
+
+function formatBarBeat(ticks, meter) {
+  const barTicks = meter.beatTicks * meter.beatsPerBar;
+  const bar = Math.floor(ticks / barTicks) + 1;
+  const beat = Math.floor((ticks % barTicks) / meter.beatTicks) + 1;
+  return `${bar}:${beat}`;
+}
+
+function shadeBar(stats) {
+  if (!stats || stats.sourceNotes === 0) {
+    return " ";
+  }
+  const recall = stats.matched / stats.sourceNotes;
+  return HEATMAP_SHADES.find((shade) => recall >= shade.min).mark;
+}
+
+function renderHeatmap(report) {
+  const rows = [{ label: "all", pick: (bar) => bar }].concat(report.parts.map((part) => ({
+    label: part.role,
+    pick: (bar) => bar.parts[part.role],
+  })));
+  const labelWidth = Math.max(...rows.map((row) => row.label.length));
+  const lines = [];
+  for (let i = 0; i < report.bars.length; i += BARS_PER_HEATMAP_LINE) {
+    const bars = report.bars.slice(i, i + BARS_PER_HEATMAP_LINE);
+    rows.forEach((row, rowIndex) => {
+      const prefix = rowIndex === 0 ? String(i + 1).padStart(4) : "    ";
+      lines.push(`${prefix} ${row.label.padEnd(labelWidth)} |${bars.map((bar) => shadeBar(row.pick(bar))).join("")}|`);
+    });
+  }
+  return lines;
+}
+
+function renderCompareReport(report) {
+  const total = report.total;
+  const lines = [
+    `#COMPARE ppq=${report.ppq} tolerance=${report.tolerance} transpose=${report.transpose}`,
+    `原始: ${report.source}`,
+    `重建: ${report.rebuilt}`,
+    `總譜: ${report.score || "無（未提供 Result.md，略過截斷點）"}`,
+    "",
+    `整體: 原始 ${total.sourceNotes} 音 / 重建 ${total.rebuiltNotes} 音 / 對上 ${total.matched} 音，`
+      + `召回 ${formatPercent(total.recall)}，精確 ${formatPercent(total.precision)}，時間偏移 ${formatDrift(total.drift)}`,
+    "",
+    "聲部:",
+  ];
+  const roleWidth = Math.max(...report.parts.map((part) => part.role.length), 4);
+  for (const part of report.parts) {
+    lines.push(
+      `  ${part.role.padEnd(roleWidth)} 原始 ${part.sourceNotes} 重建 ${part.rebuiltNotes} 對上 ${part.matched}`
+        + ` 召回 ${formatPercent(part.recall)} 精確 ${formatPercent(part.precision)}`
+        + ` 相似度 ${part.fidelity === null ? "-" : part.fidelity.toFixed(2)} 偏移 ${formatDrift(part.drift)}`,
+    );
+  }
+
+  if (report.truncations) {
+    lines.push("", "截斷點:");
+    if (report.truncations.length === 0) {
+      lines.push("  無");
+    }
+    for (const point of report.truncations) {
+      lines.push(`  合奏${point.player} ${point.role} 於 ${formatBarBeat(point.ticks, report.meter)} tick ${point.ticks} 停止，之後 ${point.lostAfter} 個原始音符未寫入`);
+    }
+  }
+
+  lines.push("", "遺失區段:");
+  if (report.lostRegions.length === 0) {
+    lines.push("  無");
+  }
+  for (const region of report.lostRegions) {
+    const bars = region.startBar === region.endBar ? `${region.startBar}` : `${region.startBar}-${region.endBar}`;
+    lines.push(`  小節 ${bars} 遺失 ${region.lost}/${region.sourceNotes} 音`);
+  }
+
+  lines.push("", "熱度圖（每小節召回率：█ ≥90% ▓ ≥70% ▒ ≥40% ░ >0% · 0%，空白為無原始音符）:");
+  return lines.concat(renderHeatmap(report)).join("\n");
+}
+
+function resolveScorePath(parsed, rebuiltPath) {
+  if (parsed.score) {
+    return path.resolve(parsed.score);
+  }
+  const sibling = path.join(path.dirname(rebuiltPath), `${path.basename(rebuiltPath, path.extname(rebuiltPath))}.md`);
+  return fs.existsSync(sibling) ? sibling : null;
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs(process.argv);
+  } catch (error) {
+    console.error(error.message);
+    printHelp();
+    process.exitCode = 1;
+    return;
+  }
+
+  if (parsed.help) {
+    printHelp();
+    return;
+  }
+
+  const sourcePath = path.resolve(parsed.source);
+  const rebuiltPath = path.resolve(parsed.rebuilt);
+  const outputPath = path.resolve(parsed.output);
+  const jsonPath = path.resolve(parsed.json || path.join(
+    path.dirname(outputPath),
+    `${path.basename(outputPath, path.extname(outputPath))}.json`,
+  ));
+  for (const filePath of [sourcePath, rebuiltPath].concat(parsed.score ? [path.resolve(parsed.score)] : [])) {
+    if (!fs.existsSync(filePath)) {
+      console.error(`找不到檔案: ${filePath}`);
+      process.exitCode = 1;
+      return;
+    }
+  }
+
+  let report;
+  try {
+    report = compareMidi(sourcePath, rebuiltPath, {
+      score: resolveScorePath(parsed, rebuiltPath),
+      tolerance: parsed.tolerance,
+      convert: parsed.convertArgs ? resolveConvertOptions({}, parsed.convertArgs) : null,
+    });
+  } catch (error) {
+    console.error(`比對失敗: ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  fs.writeFileSync(outputPath, `${renderCompareReport(report)}\n`, "utf8");
+  fs.writeFileSync(jsonPath, `${JSON.stringify(report, null, 2)}\n`, "utf8");
+
+  console.log(`完成: ${outputPath}`);
+  console.log(`JSON: ${jsonPath}`);
+  console.log(`召回 ${formatPercent(report.total.recall)} / 精確 ${formatPercent(report.total.precision)}`);
+  for (const part of report.parts) {
+    console.log(`${part.role}: 召回 ${formatPercent(part.recall)} 精確 ${formatPercent(part.precision)}`);
+  }
+  if (report.truncations && report.truncations.length > 0) {
+    console.log(`截斷點: ${report.truncations.length} 處`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  compareMidi,
+  renderCompareReport,
+};
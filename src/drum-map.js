@@ -0,0 +1,104 @@
+const fs = require("fs");
+const path = require("path");
+
+// GM percussion key -> percussion voice pitch. The default folds the GM kit onto one pitch per drum family,
+// so a percussion part only has to spell a handful of notes; keys missing from the table are dropped.
+const GM_DRUM_MAP = {
+  35: 36, // Acoustic Bass Drum -> Bass Drum 1
+  36: 36, // Bass Drum 1
+  37: 37, // Side Stick
+  38: 38, // Acoustic Snare
+  39: 39, // Hand Clap
+  40: 38, // Electric Snare -> Acoustic Snare
+  41: 41, // Low Floor Tom
+  42: 42, // Closed Hi-Hat
+  43: 41, // High Floor Tom -> Low Floor Tom
+  44: 42, // Pedal Hi-Hat -> Closed Hi-Hat
+  45: 45, // Low Tom
+  46: 46, // Open Hi-Hat
+  47: 45, // Low-Mid Tom -> Low Tom
+  48: 48, // Hi-Mid Tom
+  49: 49, // Crash Cymbal 1
+  50: 48, // High Tom -> Hi-Mid Tom
+  51: 51, // Ride Cymbal 1
+  52: 49, // Chinese Cymbal -> Crash Cymbal 1
+  53: 51, // Ride Bell -> Ride Cymbal 1
+  54: 54, // Tambourine
+  55: 49, // Splash Cymbal -> Crash Cymbal 1
+  56: 56, // Cowbell
+  57: 49, // Crash Cymbal 2 -> Crash Cymbal 1
+  59: 51, // Ride Cymbal 2 -> Ride Cymbal 1
+};
+
+const DRUM_MODES = ["part", "chord2"];
+
+function normalizeDrumMap(raw) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  const map = { ...GM_DRUM_MAP };
+  for (const [key, value] of Object.entries(source)) {
+    const gmKey = Number.parseInt(key, 10);
+    if (!Number.isInteger(gmKey) || gmKey < 0 || gmKey > 127) {
+      throw new Error(`Invalid drum map key: ${key}`);
+    }
+    if (value === null) {
+      delete map[gmKey];
+      continue;
+    }
+    if (!Number.isInteger(value) || value < 0 || value > 127) {
+      throw new Error(`Invalid drum map pitch for ${key}: ${value}`);
+    }
+    map[gmKey] = value;
+  }
+  return map;
+}
+
+function loadDrumMap(filePath) {
+  if (!filePath) {
+    return normalizeDrumMap({});
+  }
+
+  const mapPath = path.resolve(filePath);
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(mapPath, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid drum map file ${mapPath}: ${error.message}`);
+  }
+  return normalizeDrumMap(raw);
+}
+
+/**
+ * Maps GM percussion notes onto the percussion voice. Hits on the same tick collapse to the lowest mapped pitch
+ * (kick before snare before cymbals), and every hit lasts until the next one, capped at one beat, so the part
+ * spells as few rests as possible.
+ */
+function mapDrumNotes(notes, drumMap, beatTicks) {
+  const map = drumMap || GM_DRUM_MAP;
+  const hitsByTick = new Map();
+  for (const note of notes || []) {
+    const pitch = map[Math.round(note.midi)];
+    if (!Number.isInteger(pitch)) {
+      continue;
+    }
+    const tick = Math.round(note.ticks);
+    const current = hitsByTick.get(tick);
+    if (!current || pitch < current.midi) {
+      hitsByTick.set(tick, { midi: pitch, ticks: tick, velocity: note.velocity });
+    }
+  }
+
+  const hits = Array.from(hitsByTick.values()).sort((a, b) => a.ticks - b.ticks);
+  return hits.map((hit, index) => {
+    const next = hits[index + 1];
+    const gap = next ? next.ticks - hit.ticks : beatTicks;
+    return { ...hit, durationTicks: Math.max(1, Math.min(gap, beatTicks)) };
+  });
+}
+
+module.exports = {
+  DRUM_MODES,
+  GM_DRUM_MAP,
+  loadDrumMap,
+  mapDrumNotes,
+  normalizeDrumMap,
+};
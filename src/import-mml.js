@@ -0,0 +1,419 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const path = require("path");
+const { renderEnsembleScores, renderMetaLine, renderScore } = require("./mid-to-chord.js");
+const {
+  BUILTIN_PROFILES,
+  DEFAULT_PROFILE_NAME,
+  loadProfile,
+  normalizeProfile,
+  withDrumPart,
+} = require("./mml-profiles.js");
+const { parseMml } = require("./result-to-mid.js");
+const { validateScore } = require("./validate-mml.js");
+
+const DEFAULT_OUTPUT = "Result.md";
+
+// result-to-mid always writes 480 ticks per quarter, so imported segment lengths use the same grid.
+const IMPORT_PPQ = 480;
+
+const DEFAULT_BPM = 120;
+
+const SPLIT_MODES = ["parallel", "sequential"];
+
+// A later sheet that opens with at least this much silence is a player entering late, not the next section.
+const PARALLEL_LEAD_BEATS = 8;
+
+const LABEL_ROLES = [
+  { role: "melody", pattern: /^(?:主音(?:melody)?|旋律|melody)$/i },
+  { role: "chord1", pattern: /^(?:和弦\s*(?:chord)?\s*1|chord\s*1)$/i },
+  { role: "chord2", pattern: /^(?:和弦\s*(?:chord)?\s*2|chord\s*2)$/i },
+  { role: "drums", pattern: /^(?:鼓(?:drums)?|drums)$/i },
+];
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const parsed = {
+    input: null,
+    output: null,
+    split: null,
+    profile: null,
+    help: false,
+  };
+
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+
+    if (arg === "-h" || arg === "--help") {
+      parsed.help = true;
+      continue;
+    }
+
+    if (arg === "-i" || arg === "--input") {
+      parsed.input = args[i + 1] || null;
+      i += 1;
+      continue;
+    }
+
+    if (arg === "-o" || arg === "--output") {
+      parsed.output = args[i + 1] || null;
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--split" || arg === "--split-mode") {
+      const mode = (args[i + 1] || "").toLowerCase();
+      if (!SPLIT_MODES.includes(mode)) {
+        throw new Error(`Invalid split mode: ${args[i + 1]}`);
+      }
+      parsed.split = mode;
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--profile") {
+      parsed.profile = args[i + 1] || null;
+      i += 1;
+      continue;
+    }
+
+    if (arg !== "-" && arg.startsWith("-")) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+
+    if (!parsed.input) {
+      parsed.input = arg;
+    } else if (!parsed.output) {
+      parsed.output = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  if (!parsed.input) {
+    throw new Error("Missing input: score file, raw MML string or - for stdin.");
+  }
+  parsed.output = parsed.output || DEFAULT_OUTPUT;
+  return parsed;
+}
+
+function printHelp() {
+  console.log(
+    [
+      "Usage:",
+      "  node src/import-mml.js <score.md|score.mml|-> [Result.md]",
+      "  node src/import-mml.js \"MML@t120l8cdefg,l4ceg,l2c;\" -o Result.md",
+      "  node src/import-mml.js 01.md -o Result.md --split sequential",
+      "",
+      "Accepts MML@...; blobs, labelled parts (主音Melody: / 和弦Chord1: / Chord2: ...), or bare MML lines",
+      "(one part per line or comma-separated, blank lines between sheets). - reads stdin.",
+      "",
+      "Options:",
+      "  -o, --output FILE   Output score (default: Result.md)",
+      "  --split M           parallel|sequential for multiple sheets (default: guessed from leading rests)",
+      "  --profile P         Profile name or JSON file (default: by part count, 4 parts = default + drums)",
+    ].join("\n"),
+  );
+}
+
+function findLabelRole(label) {
+  const name = String(label || "").trim();
+  const entry = LABEL_ROLES.find((item) => item.pattern.test(name));
+  return entry ? entry.role : null;
+}
+
+function cleanMml(text) {
+  return String(text || "").replace(/[`\s]/g, "");
+}
+
+function looksLikeMml(text) {
+  const source = cleanMml(text);
+  return source.length > 0 && /^[a-gnrtvol<>&.+#\-0-9,;@]+$/i.test(source) && /[a-gnr]/i.test(source);
+}
+
+function findMmlBlobs(text) {
+  const sheets = [];
+  // Clipboard copies sometimes lose the closing ;, so a blank line, a line of prose or the end of the text also
+  // ends a blob.
+  const blobPattern = /MML@([\s\S]*?)(?:;|\n[ \t]*\r?\n|\r?\n(?=[^\r\n]*[^a-gnrtvol<>&.+#\-0-9,;@\s`])|$)/gi;
+  let match = null;
+  while ((match = blobPattern.exec(text)) !== null) {
+    const parts = cleanMml(match[1]).split(",");
+    if (parts.some(Boolean)) {
+      sheets.push({ parts });
+    }
+  }
+  return sheets;
+}
+
+function findLabelledSheets(lines) {
+  const sheets = [];
+  let current = null;
+  let pendingRole = null;
+  const startSheet = () => {
+    current = { roles: {} };
+    sheets.push(current);
+  };
+
+  for (const line of lines) {
+    const trimmed = line.replace(/^\s*(?:[-*>]\s*)+/, "").trim();
+    if (/^#*\s*合奏\s*\d+/.test(trimmed)) {
+      current = null;
+      pendingRole = null;
+      continue;
+    }
+
+    const labelMatch = trimmed.match(/^([^:：]+?)\s*[:：]\s*(\d*)\s*(.*)$/);
+    const role = labelMatch ? findLabelRole(labelMatch[1]) : null;
+    if (role) {
+      if (!current || current.roles[role] !== undefined) {
+        startSheet();
+      }
+      const inline = labelMatch[3];
+      if (looksLikeMml(inline)) {
+        current.roles[role] = cleanMml(inline);
+        pendingRole = null;
+      } else {
+        current.roles[role] = "";
+        pendingRole = role;
+      }
+      continue;
+    }
+
+    if (pendingRole && looksLikeMml(trimmed)) {
+      current.roles[pendingRole] = cleanMml(trimmed);
+      pendingRole = null;
+    }
+  }
+  return sheets.filter((sheet) => Object.values(sheet.roles).some(Boolean));
+}
+
+function findBareSheets(lines) {
+  const sheets = [];
+  let current = null;
+  for (const line of lines) {
+    if (!line.trim()) {
+      current = null;
+      continue;
+    }
+    if (!looksLikeMml(line)) {
+      continue;
+    }
+    if (!current) {
+      current = { parts: [] };
+      sheets.push(current);
+    }
+    current.parts.push(...cleanMml(line).replace(/;$/, "").split(","));
+  }
+  return sheets;
+}
+
+/**
+ * Finds the sheets in a loosely formatted score: `MML@` blobs first, then labelled parts, then bare MML lines.
+ * Each sheet is `{ parts }` (positional, profile order) or `{ roles }` (keyed by part role).
+ */
+function parseLooseScore(text) {
+  const source = String(text || "").replace(/^\uFEFF/, "");
+  const blobs = findMmlBlobs(source);
+  if (blobs.length > 0) {
+    return { kind: "mml", sheets: blobs };
+  }
+  const lines = source.split(/\r?\n/).filter((line) => !/^\s*```/.test(line));
+  const labelled = findLabelledSheets(lines);
+  if (labelled.length > 0) {
+    return { kind: "labels", sheets: labelled };
+  }
+  return { kind: "bare", sheets: findBareSheets(lines) };
+}
+
+function resolveImportProfile(sheets, profileOption) {
+  if (profileOption) {
+    const profile = typeof profileOption === "object" ? normalizeProfile(profileOption) : loadProfile(profileOption);
+    return { profile, drums: profile.parts.some((part) => part.role === "drums") ? "part" : null };
+  }
+
+  const hasDrumLabel = sheets.some((sheet) => sheet.roles && sheet.roles.drums !== undefined);
+  const partCount = sheets.reduce((max, sheet) => Math.max(
+    max,
+    sheet.parts ? sheet.parts.length : 0,
+    sheet.roles && sheet.roles.chord2 !== undefined ? 3 : 0,
+    sheet.roles && sheet.roles.chord1 !== undefined ? 2 : 0,
+    1,
+  ), 0);
+  if (hasDrumLabel || partCount >= 4) {
+    return { profile: withDrumPart(loadProfile(DEFAULT_PROFILE_NAME)), drums: "part" };
+  }
+  const builtin = Object.values(BUILTIN_PROFILES).find((profile) => profile.parts.length === partCount);
+  return { profile: loadProfile(builtin ? builtin.name : DEFAULT_PROFILE_NAME), drums: null };
+}
+
+function assignRoles(sheet, profile, sheetIndex) {
+  if (sheet.parts && sheet.parts.length > profile.parts.length) {
+    throw new Error(`合奏${sheetIndex + 1} 有 ${sheet.parts.length} 個聲部，profile ${profile.name} 只有 ${profile.parts.length} 個`);
+  }
+  const texts = {};
+  profile.parts.forEach((part, index) => {
+    texts[part.role] = sheet.parts ? (sheet.parts[index] || "") : (sheet.roles[part.role] || "");
+  });
+  return texts;
+}
+
+function measureSheet(texts) {
+  const parsed = Object.values(texts).filter(Boolean).map((text) => parseMml(text));
+  const beats = parsed.reduce((max, part) => Math.max(max, part.totalBeats), 0);
+  const starts = parsed
+    .filter((part) => part.events.length > 0)
+    .map((part) => part.events[0].startBeat);
+  const openingTempo = parsed
+    .flatMap((part) => part.tempoChanges)
+    .find((change) => change.beat === 0);
+  return {
+    ticks: Math.max(1, Math.round(beats * IMPORT_PPQ)),
+    leadBeats: starts.length > 0 ? Math.min(...starts) : beats,
+    bpm: openingTempo ? openingTempo.bpm : null,
+  };
+}
+
+/**
+ * Converts a hand-written score (raw MML, `MML@` blobs, `.mml` text or loose markdown) into `Result.md` text with
+ * `#META`. Segment lengths come from the parsed beats of the longest part in each sheet.
+ *
+ * @param {string} text
+ * @param {object} [options]
+ * @param {"parallel"|"sequential"} [options.split] Split mode for multiple sheets; guessed from leading rests when
+ *   omitted (a later sheet opening with two bars of silence means the players overlap).
+ * @param {string|object} [options.profile] Profile name, JSON path or object; guessed from the part count when omitted.
+ * @returns {{ text: string, kind: string, split: string, splitGuessed: boolean, profile: string, drums: string|null,
+ *   totalTicks: number, bpm: number, players: Array<{ segmentTicks: number, parts: Object<string, string> }> }}
+ */
+function importMml(text, options = {}) {
+  const { kind, sheets } = parseLooseScore(text);
+  if (sheets.length === 0) {
+    throw new Error("找不到可匯入的 MML。請確認內容有 MML@...; 、聲部標籤或 MML 文字。");
+  }
+
+  const { profile, drums } = resolveImportProfile(sheets, options.profile);
+  const scoreList = sheets.map((sheet, index) => assignRoles(sheet, profile, index));
+  const measures = scoreList.map(measureSheet);
+  const guessedSplit = measures.slice(1).some((measure) => measure.leadBeats >= PARALLEL_LEAD_BEATS)
+    ? "parallel"
+    : "sequential";
+  const split = scoreList.length === 1 ? "single" : (SPLIT_MODES.includes(options.split) ? options.split : guessedSplit);
+  const bpm = (measures.find((measure) => measure.bpm) || { bpm: DEFAULT_BPM }).bpm;
+
+  let ranges;
+  if (split === "sequential") {
+    let start = 0;
+    ranges = measures.map((measure) => {
+      const range = { start, end: start + measure.ticks };
+      start = range.end;
+      return range;
+    });
+  } else {
+    const longest = Math.max(...measures.map((measure) => measure.ticks));
+    ranges = measures.map(() => ({ start: 0, end: longest }));
+  }
+  const totalTicks = ranges.reduce((max, range) => Math.max(max, range.end), 0);
+
+  const metadata = {
+    totalTicks,
+    ppq: IMPORT_PPQ,
+    bpm,
+    profile,
+    splitMode: split,
+    drums,
+  };
+  const scoreText = split === "single"
+    ? [renderMetaLine(metadata, 1, "single"), renderScore(scoreList[0], profile)].join("\n")
+    : renderEnsembleScores(scoreList, ranges, metadata);
+
+  return {
+    text: `${scoreText}\n`,
+    kind,
+    split,
+    splitGuessed: scoreList.length > 1 && !SPLIT_MODES.includes(options.split),
+    profile: profile.name,
+    drums,
+    totalTicks,
+    bpm,
+    players: scoreList.map((parts, index) => ({
+      segmentTicks: ranges[index].end - ranges[index].start,
+      parts,
+    })),
+  };
+}
+
+function readInput(input) {
+  if (input === "-") {
+    return { source: fs.readFileSync(0, "utf8"), name: "<stdin>" };
+  }
+  const inputPath = path.resolve(input);
+  if (fs.existsSync(inputPath)) {
+    return { source: fs.readFileSync(inputPath, "utf8"), name: input };
+  }
+  if (/^\s*MML@/i.test(input) || looksLikeMml(input)) {
+    return { source: input, name: "<mml>" };
+  }
+  return null;
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs(process.argv);
+  } catch (error) {
+    console.error(error.message);
+    printHelp();
+    process.exitCode = 1;
+    return;
+  }
+
+  if (parsed.help) {
+    printHelp();
+    return;
+  }
+
+  const input = readInput(parsed.input);
+  if (!input) {
+    console.error(`找不到檔案: ${path.resolve(parsed.input)}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  let imported;
+  try {
+    imported = importMml(input.source, { split: parsed.split, profile: parsed.profile });
+  } catch (error) {
+    console.error(`匯入失敗: ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const outputPath = path.resolve(parsed.output);
+  fs.writeFileSync(outputPath, imported.text, "utf8");
+  console.log(`完成: ${outputPath}`);
+
+  const kindLabel = { mml: "MML@", labels: "聲部標籤", bare: "MML 文字" }[imported.kind];
+  const splitNote = imported.splitGuessed ? "（推測，可用 --split 指定）" : "";
+  console.log(`來源: ${input.name} (${kindLabel}) 合奏 ${imported.players.length} 張 split=${imported.split}${splitNote} profile=${imported.profile}`);
+  imported.players.forEach((player, index) => {
+    const lengths = Object.entries(player.parts).map(([role, text]) => `${role}=${text.length}`).join(" ");
+    console.log(`合奏${index + 1} 段長Ticks: ${player.segmentTicks} ${lengths}`);
+  });
+
+  const issues = validateScore(imported.text);
+  const errorCount = issues.filter((issue) => issue.severity === "error").length;
+  if (issues.length > 0) {
+    console.log(`樂譜檢查: ${errorCount} 個錯誤, ${issues.length - errorCount} 個警告（詳見 node src/validate-mml.js ${parsed.output}）`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  importMml,
+  parseLooseScore,
+};
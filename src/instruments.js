@@ -0,0 +1,91 @@
+const { PART_ROLES } = require("./mml-profiles.js");
+
+// In-game instrument name -> closest GM program (0-based, as `@tonejs/midi` stores it).
+const GM_PROGRAMS = {
+  piano: 0,
+  xylophone: 13,
+  handbell: 14, // Tubular Bells
+  lute: 24, // Acoustic Guitar (nylon)
+  ukulele: 24,
+  mandolin: 25, // Acoustic Guitar (steel)
+  electricguitar: 29, // Overdriven Guitar
+  bass: 32, // Acoustic Bass
+  violin: 40,
+  cello: 42,
+  harp: 46, // Orchestral Harp
+  lyre: 46,
+  trumpet: 56,
+  tuba: 58,
+  shawm: 68, // Oboe
+  chalumeau: 71, // Clarinet
+  flute: 73,
+  whistle: 78,
+  roncadora: 79, // Ocarina
+};
+
+// The percussion channel picks drums by pitch, so only pitched parts take a program.
+const INSTRUMENT_ROLES = PART_ROLES.filter((role) => role !== "drums");
+
+function normalizeInstrumentName(name) {
+  return String(name || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Resolves an instrument name (`flute`, `Electric Guitar`) or a GM program number (0..127) to a program, or null.
+ */
+function resolveProgram(name) {
+  const key = normalizeInstrumentName(name);
+  if (/^\d+$/.test(key)) {
+    const program = Number.parseInt(key, 10);
+    return program <= 127 ? program : null;
+  }
+  return Object.prototype.hasOwnProperty.call(GM_PROGRAMS, key) ? GM_PROGRAMS[key] : null;
+}
+
+function splitInstrumentSpec(spec) {
+  return String(spec || "")
+    .split(",")
+    .filter((item) => item.trim())
+    .map((item) => {
+      const match = item.trim().match(/^([a-z0-9]+)[=:](.+)$/i);
+      const role = match ? match[1].toLowerCase() : "";
+      const name = match ? normalizeInstrumentName(match[2]) : "";
+      return { role, name, valid: INSTRUMENT_ROLES.includes(role) && resolveProgram(name) !== null };
+    });
+}
+
+/**
+ * Parses `melody=flute,chord1=lute` (CLI) or `melody:flute,chord1:lute` (`#META instruments=`) into
+ * `{ role: name }`. Throws on unknown roles or instruments.
+ */
+function parseInstrumentSpec(spec) {
+  const entries = splitInstrumentSpec(spec);
+  if (entries.length === 0 || entries.some((entry) => !entry.valid)) {
+    throw new Error(`Invalid instrument value: ${spec}`);
+  }
+  return Object.fromEntries(entries.map((entry) => [entry.role, entry.name]));
+}
+
+/**
+ * Reads `#META instruments=`; hand-edited entries that do not resolve are skipped so the score still converts.
+ */
+function readInstrumentMeta(value) {
+  const entries = splitInstrumentSpec(value).filter((entry) => entry.valid);
+  return Object.fromEntries(entries.map((entry) => [entry.role, entry.name]));
+}
+
+function formatInstrumentMeta(instruments) {
+  return INSTRUMENT_ROLES
+    .filter((role) => instruments && instruments[role])
+    .map((role) => `${role}:${instruments[role]}`)
+    .join(",");
+}
+
+module.exports = {
+  GM_PROGRAMS,
+  INSTRUMENT_ROLES,
+  formatInstrumentMeta,
+  parseInstrumentSpec,
+  readInstrumentMeta,
+  resolveProgram,
+};
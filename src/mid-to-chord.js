@@ -4,15 +4,51 @@ const fs = require("fs");
 const os = require("os");
 const path = require("path");
 const { Midi } = require("@tonejs/midi");
-
-const LIMITS = {
-  melody: 1200,
-  chord1: 800,
-  chord2: 500,
-};
+const {
+  detectChords,
+  estimateKey,
+  renderChordChart,
+  renderLeadSheet,
+  transposeKey,
+} = require("./chord-analysis.js");
+const {
+  VOICING_LEVEL_COUNT,
+  VOICING_MODES,
+  VOICING_STYLES,
+  applyVoicing,
+  generateVoicing,
+} = require("./chord-voicing.js");
+const {
+  DRUM_MODES,
+  loadDrumMap,
+  mapDrumNotes,
+  normalizeDrumMap,
+} = require("./drum-map.js");
+const { formatInstrumentMeta, parseInstrumentSpec } = require("./instruments.js");
+const {
+  BUILTIN_PROFILES,
+  formatPartLayout,
+  getDefaultProfile,
+  getProfileLimits,
+  isDefaultProfile,
+  loadProfile,
+  normalizeProfile,
+  parsePartRange,
+  validateMmlPart,
+  withDrumPart,
+  withPartRanges,
+} = require("./mml-profiles.js");
+
+const DEFAULT_PROFILE = getDefaultProfile();
+
+const LIMITS = getProfileLimits(DEFAULT_PROFILE);
+
+const RESULT_FORMATS = ["md", "json"];
 
 const NOTE_NAMES = ["c", "c+", "d", "d+", "e", "f", "f+", "g", "g+", "a", "a+", "b"];
 
+const PART_HINT_ROLES = ["melody", "chord1", "chord2"];
+
 function parseArgs(argv) {
   const args = normalizeSpaceSeparatedInputArgs(argv.slice(2));
   const parsed = {
@@ -22,6 +58,25 @@ function parseArgs(argv) {
     players: 1,
     splitMode: "parallel",
     bpm: null,
+    profile: null,
+    chordChart: false,
+    diagnostics: false,
+    chordResolution: "beat",
+    leadSheet: null,
+    voicing: null,
+    voicingMode: "replace",
+    transpose: null,
+    ranges: {},
+    instruments: {},
+    partHints: {},
+    drums: null,
+    drumMap: null,
+    dynamics: true,
+    repeats: true,
+    ornamentSpeed: null,
+    graceSpeed: null,
+    movement: null,
+    format: "md",
     help: false,
   };
 
@@ -86,6 +141,164 @@ function parseArgs(argv) {
       continue;
     }
 
+    if (arg === "--profile") {
+      const rawProfile = args[i + 1];
+      if (!rawProfile || rawProfile.startsWith("-")) {
+        throw new Error(`Invalid profile value: ${rawProfile}`);
+      }
+      parsed.profile = rawProfile;
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--chord-chart") {
+      parsed.chordChart = true;
+      continue;
+    }
+
+    if (arg === "--diagnostics") {
+      parsed.diagnostics = true;
+      continue;
+    }
+
+    if (arg === "--chord-resolution") {
+      const resolution = (args[i + 1] || "").toLowerCase();
+      if (!["beat", "bar"].includes(resolution)) {
+        throw new Error(`Invalid chord resolution: ${args[i + 1]}`);
+      }
+      parsed.chordResolution = resolution;
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--lead-sheet") {
+      const rawLeadSheet = args[i + 1];
+      if (!rawLeadSheet || rawLeadSheet.startsWith("-")) {
+        throw new Error(`Invalid lead sheet path: ${rawLeadSheet}`);
+      }
+      parsed.leadSheet = rawLeadSheet;
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--format") {
+      const format = (args[i + 1] || "").toLowerCase();
+      if (!RESULT_FORMATS.includes(format)) {
+        throw new Error(`Invalid format: ${args[i + 1]}`);
+      }
+      parsed.format = format;
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--flat-dynamics") {
+      parsed.dynamics = false;
+      continue;
+    }
+
+    if (arg === "--no-repeats") {
+      parsed.repeats = false;
+      continue;
+    }
+
+    if (arg === "--movement") {
+      const rawMovement = String(args[i + 1] || "").trim().toLowerCase();
+      if (rawMovement !== "all" && (!/^\d+$/.test(rawMovement) || Number.parseInt(rawMovement, 10) < 1)) {
+        throw new Error(`Invalid movement value: ${args[i + 1]}`);
+      }
+      parsed.movement = rawMovement === "all" ? "all" : Number.parseInt(rawMovement, 10);
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--ornament-speed" || arg === "--grace-speed") {
+      const rawNoteValue = args[i + 1];
+      const noteValue = Number.parseInt(rawNoteValue || "", 10);
+      if (!/^\d+$/.test(String(rawNoteValue || "")) || noteValue < 1 || noteValue > 128) {
+        throw new Error(`Invalid note value: ${rawNoteValue}`);
+      }
+      parsed[arg === "--ornament-speed" ? "ornamentSpeed" : "graceSpeed"] = noteValue;
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--drums") {
+      const mode = (args[i + 1] || "").toLowerCase();
+      if (!DRUM_MODES.includes(mode)) {
+        throw new Error(`Invalid drums mode: ${args[i + 1]}`);
+      }
+      parsed.drums = mode;
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--drum-map") {
+      parsed.drumMap = args[i + 1] || null;
+      if (!parsed.drumMap) {
+        throw new Error("Missing drum map file.");
+      }
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--instrument") {
+      parsed.instruments = { ...parsed.instruments, ...parseInstrumentSpec(args[i + 1]) };
+      i += 1;
+      continue;
+    }
+
+    const hintMatch = arg.match(/^--(melody|chord1|chord2)-part$/);
+    if (hintMatch) {
+      const value = args[i + 1];
+      if (!value || value.startsWith("-")) {
+        throw new Error(`Invalid part value: ${value}`);
+      }
+      parsed.partHints[hintMatch[1]] = (parsed.partHints[hintMatch[1]] || []).concat(value);
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--range") {
+      const range = parsePartRange(args[i + 1]);
+      parsed.ranges[range.role] = { min: range.min, max: range.max };
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--transpose") {
+      const rawTranspose = (args[i + 1] || "").toLowerCase();
+      const semitones = Number.parseInt(rawTranspose, 10);
+      if (rawTranspose === "auto") {
+        parsed.transpose = "auto";
+      } else if (/^[+-]?\d+$/.test(rawTranspose) && Math.abs(semitones) <= 24) {
+        parsed.transpose = semitones;
+      } else {
+        throw new Error(`Invalid transpose value: ${args[i + 1]}`);
+      }
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--voicing") {
+      const style = (args[i + 1] || "").toLowerCase();
+      if (!VOICING_STYLES.includes(style)) {
+        throw new Error(`Invalid voicing style: ${args[i + 1]}`);
+      }
+      parsed.voicing = style;
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--voicing-mode") {
+      const mode = (args[i + 1] || "").toLowerCase();
+      if (!VOICING_MODES.includes(mode)) {
+        throw new Error(`Invalid voicing mode: ${args[i + 1]}`);
+      }
+      parsed.voicingMode = mode;
+      i += 1;
+      continue;
+    }
+
     if (arg.startsWith("-")) {
       throw new Error(`Unknown option: ${arg}`);
     }
@@ -152,9 +365,34 @@ function printHelp() {
       "  --player N         Alias of --players",
       "  --split-mode M     ensemble split mode: parallel|sequential (default: parallel)",
       "  -b, --bpm N        Override output BPM for score generation (e.g. 120)",
+      "  --profile P        MML dialect profile name or JSON file (default: default)",
+      "  --chord-resolution R  chord chart resolution: beat|bar (default: beat)",
+      "  --chord-chart      Append the detected chord chart to Result.md",
+      "  --diagnostics      Append the octave-fold diagnostics block to Result.md",
+      "  --lead-sheet FILE  Also write a plain-text lead sheet (chords + melody notes)",
+      "  --format F         md | json (also write Result.json next to Result.md) (default: md)",
+      "  --flat-dynamics    One volume per part instead of bar-level v changes that follow the velocities",
+      "  --no-repeats       MusicXML input: keep written measure order instead of expanding repeats and jumps",
+      "  --ornament-speed N MusicXML input: note value of trill/mordent/turn notes (default: 32)",
+      "  --grace-speed N    MusicXML input: note value of grace notes (default: 32)",
+      "  --movement M       MusicXML input: movement number to convert, or all to join every movement (default: 1)",
+      "  --drums M          Keep percussion tracks: part (extra Drums part) | chord2 (Chord2 plays only the drums, its notes move to Chord1)",
+      "  --drum-map FILE    JSON table of GM percussion key -> percussion voice pitch (null drops a key)",
+      "  --range R=LO..HI   Part pitch range for octave folding, e.g. chord2=c1..c5 or melody=48..108 (repeatable)",
+      "  --instrument R=I   In-game instrument per part, e.g. melody=flute,chord1=lute (recorded in #META for result-to-mid)",
+      "  --melody-part P    Source part for Melody instead of guessing: part name, MusicXML part id or MIDI track index",
+      "                     (0-based); comma-separated or repeated for several parts",
+      "  --chord1-part P    Source part for Chord1 (same syntax)",
+      "  --chord2-part P    Source part for Chord2 (same syntax)",
+      "  --transpose T      Transpose the score: auto (fit the profile range with fewest octave commands) or semitones",
+      `  --voicing S        Generate Chord1/Chord2 from detected chords: ${VOICING_STYLES.join("|")}`,
+      "  --voicing-mode M   replace|fill: replace source accompaniment or only fill silent chords (default: replace)",
       "  note: filenames with spaces are supported; quoting is still recommended",
       "",
-      "Character limits:",
+      "Profiles:",
+      ...Object.values(BUILTIN_PROFILES).map((profile) => `  ${profile.name.padEnd(9)}${profile.description}`),
+      "",
+      "Character limits (default profile):",
       "  Melody: 1200",
       "  Chord1: 800",
       "  Chord2: 500",
@@ -175,9 +413,52 @@ function clamp(value, min, max) {
   return Math.min(max, Math.max(min, value));
 }
 
-function estimateTempo(midi) {
+function estimateTempo(midi, tempoRange = DEFAULT_PROFILE.tempo) {
   const bpm = midi.header.tempos && midi.header.tempos.length > 0 ? midi.header.tempos[0].bpm : 120;
-  return clamp(Math.round(bpm || 120), 30, 300);
+  return clamp(Math.round(bpm || 120), tempoRange.min, tempoRange.max);
+}
+
+// Changes inside one sixteenth collapse to the last one; no grid the encoder uses can place them apart anyway.
+function readTempoMap(midi, tempoRange = DEFAULT_PROFILE.tempo) {
+  const ppq = midi.header.ppq || 480;
+  const slotTicks = ppq / 4;
+  const bySlot = new Map();
+  for (const entry of midi.header.tempos || []) {
+    if (!Number.isFinite(entry.ticks) || !Number.isFinite(entry.bpm) || entry.bpm <= 0) {
+      continue;
+    }
+    const slot = Math.round(entry.ticks / slotTicks);
+    bySlot.set(slot, { ticks: slot * slotTicks, bpm: clamp(Math.round(entry.bpm), tempoRange.min, tempoRange.max) });
+  }
+
+  const changes = [];
+  let currentBpm = estimateTempo(midi, tempoRange);
+  for (const entry of Array.from(bySlot.values()).sort((a, b) => a.ticks - b.ticks)) {
+    if (entry.ticks > 0 && entry.bpm !== currentBpm) {
+      changes.push(entry);
+    }
+    if (entry.ticks > 0 || changes.length === 0) {
+      currentBpm = entry.bpm;
+    }
+  }
+  return changes;
+}
+
+function tempoAtTick(tempoChanges, initialBpm, tick) {
+  let bpm = initialBpm;
+  for (const change of tempoChanges) {
+    if (change.ticks > tick) {
+      break;
+    }
+    bpm = change.bpm;
+  }
+  return bpm;
+}
+
+function sliceTickEvents(events, startTicks, endTicks = Infinity) {
+  return (events || [])
+    .filter((event) => event.ticks >= startTicks && event.ticks < endTicks)
+    .map((event) => ({ ...event, ticks: event.ticks - startTicks }));
 }
 
 function midiToPitchInfo(midiNumber) {
@@ -230,6 +511,7 @@ function collectTrackStats(midi) {
 
       return {
         index,
+        name: track.name || "",
         notes,
         noteCount: notes.length,
         avgPitch,
@@ -242,6 +524,114 @@ function collectTrackStats(midi) {
     .filter(Boolean);
 }
 
+function transposeTrackStats(trackStats, semitones) {
+  if (!semitones) {
+    return trackStats;
+  }
+  return trackStats.map((track) => (track.isPercussion
+    ? track
+    : {
+      ...track,
+      notes: track.notes.map((note) => ({ ...note, midi: note.midi + semitones })),
+      avgPitch: track.avgPitch + semitones,
+    }));
+}
+
+// Shifts measured with the full encoder after a quick ranking; 0 is always among them.
+const TRANSPOSE_FINALISTS = 3;
+
+// Characters of a part encoded on a plain sixteenth grid: a cheap stand-in for its reach when ranking shifts.
+function measureQuickEncodedLength(notes, mode, ppq, targetDurationTicks, encodeOptions) {
+  const stepsPerQuarter = 4;
+  const stepTicks = ppq / stepsPerQuarter;
+  const baseLength = 4 * stepsPerQuarter;
+  const runs = computeNotesOverlapRatio(notes) <= 0.35
+    ? buildMonophonicRunsFromNotes(notes, stepTicks, targetDurationTicks, true)
+    : normalizeRuns(sequenceToRuns(buildStepSequence(notes, stepTicks, mode, targetDurationTicks)), baseLength, true);
+  return encodeRuns(runs, { ...encodeOptions, baseLength, stepTicks }).text.length;
+}
+
+// A shift only changes octave commands and accidentals, so it is scored on the notes each part actually encodes:
+// notes outside the profile octaves or the part range, then how far every sheet gets within the part limits
+// (`quick` counts plain-grid characters instead).
+function measureTranspositionCost(players, semitones, profile, ppq, encodeOptions, quick = false) {
+  const lowest = (profile.octave.min + 1) * 12;
+  const highest = (profile.octave.max + 1) * 12 + 11;
+  let outOfRange = 0;
+  let reachTicks = 0;
+  let chars = 0;
+  for (const player of players) {
+    let playerReach = player.segmentTicks;
+    for (const part of player.parts) {
+      const range = part.range || { min: 0, max: 127 };
+      const notes = part.notes.map((note) => ({ ...note, midi: note.midi + semitones }));
+      outOfRange += notes.filter((note) => (
+        note.midi < Math.max(lowest, range.min) || note.midi > Math.min(highest, range.max)
+      )).length;
+      if (quick) {
+        chars += measureQuickEncodedLength(notes, part.role, ppq, player.segmentTicks, encodeOptions);
+        continue;
+      }
+      playerReach = Math.min(playerReach, measurePartReach({
+        notes,
+        mode: part.role,
+        limit: part.limit,
+        ppq,
+        targetDurationTicks: player.segmentTicks,
+        encodeOptions,
+      }));
+    }
+    reachTicks += playerReach;
+  }
+  return { outOfRange, reachTicks, chars };
+}
+
+function resolveTransposition(midi, profile, options) {
+  if (options.transpose !== "auto") {
+    return Number.isInteger(options.transpose) ? options.transpose : 0;
+  }
+
+  const base = convertMidi(midi, { ...options, transpose: 0, chordChart: false, diagnostics: false, leadSheet: false });
+  // Drums are never transposed.
+  const pitchedParts = profile.parts.filter((part) => part.role !== "drums" && !(base.drums === "chord2" && part.role === "chord2"));
+  const players = base.players.map((player) => ({
+    segmentTicks: player.segmentTicks,
+    parts: pitchedParts.map((part) => ({ ...part, notes: player.parts[part.role].sourceNotes })),
+  }));
+  const encodeOptions = {
+    tempo: base.bpm,
+    volume: 12,
+    includeTempo: true,
+    commands: profile.commands,
+    octaveRange: profile.octave,
+  };
+  const measure = (semitones, quick) => measureTranspositionCost(players, semitones, profile, base.ppq, encodeOptions, quick);
+
+  // Ranked by distance first so that equal costs keep the smaller shift.
+  const shifts = [0];
+  for (let distance = 1; distance <= 12; distance += 1) {
+    shifts.push(distance, -distance);
+  }
+  const finalists = shifts
+    .map((semitones) => ({ semitones, ...measure(semitones, true) }))
+    .sort((a, b) => a.outOfRange - b.outOfRange || a.chars - b.chars)
+    .slice(0, TRANSPOSE_FINALISTS)
+    .map((candidate) => candidate.semitones)
+    .filter((semitones) => semitones !== 0)
+    .sort((a, b) => Math.abs(a) - Math.abs(b));
+
+  // Fewest out-of-range notes first, then the latest reach; a shift has to beat 0 outright.
+  let best = { semitones: 0, ...measure(0, false) };
+  for (const semitones of finalists) {
+    const cost = measure(semitones, false);
+    if (cost.outOfRange < best.outOfRange
+      || (cost.outOfRange === best.outOfRange && cost.reachTicks > best.reachTicks)) {
+      best = { semitones, ...cost };
+    }
+  }
+  return best.semitones;
+}
+
 function splitPolyphonicTrackVoices(track, voiceCount = 3) {
   if (!track || !track.notes || track.notes.length === 0) {
     return [];
@@ -345,7 +735,79 @@ function splitPolyphonicTrackVoices(track, voiceCount = 3) {
   return voiceTracks;
 }
 
-function pickTrackGroups(trackStats) {
+function matchesPartSelector(track, selector) {
+  if (/^\d+$/.test(selector)) {
+    return track.index === Number.parseInt(selector, 10);
+  }
+  // mxl-to-mid names tracks `Part name [part id]`.
+  const match = track.name.match(/^(.*?)\s*\[([^\]]+)\]$/);
+  const names = match ? [track.name, match[1], match[2]] : [track.name];
+  return names.some((name) => name.trim().toLowerCase() === selector.toLowerCase());
+}
+
+/**
+ * Resolves `{ melody, chord1, chord2 }` part hints (part names, MusicXML part ids or 0-based MIDI track indices, as
+ * strings or comma-separated lists) to track stats, or null when no role is hinted.
+ */
+function resolvePartHints(trackStats, partHints) {
+  const resolved = {};
+  for (const role of PART_HINT_ROLES) {
+    const selectors = [].concat((partHints && partHints[role]) || [])
+      .flatMap((value) => String(value).split(","))
+      .map((value) => value.trim())
+      .filter(Boolean);
+    if (selectors.length === 0) {
+      continue;
+    }
+    const tracks = new Set();
+    for (const selector of selectors) {
+      const matched = trackStats.filter((track) => matchesPartSelector(track, selector));
+      if (matched.length === 0) {
+        const available = trackStats.map((track) => `${track.index}${track.name ? ` ${track.name}` : ""}`).join(", ");
+        throw new Error(`找不到 ${role} 指定的 part: ${selector}（可用: ${available}）`);
+      }
+      matched.forEach((track) => tracks.add(track));
+    }
+    resolved[role] = Array.from(tracks);
+  }
+  return Object.keys(resolved).length > 0 ? resolved : null;
+}
+
+// Hinted roles take their tracks as given; unhinted roles are filled from the remaining tracks the usual way.
+function pickHintedTrackGroups(usable, hintedTracks) {
+  const claimed = new Set(Object.values(hintedTracks).flat().map((track) => track.index));
+  const rest = usable.filter((track) => !claimed.has(track.index));
+  const melodyTracks = hintedTracks.melody || (rest.length > 0 ? pickTrackGroups(rest).melodyTracks : []);
+  const melodyTrackIds = new Set(melodyTracks.map((track) => track.index));
+  const remaining = rest.filter((track) => !melodyTrackIds.has(track.index));
+  const chord1Tracks = hintedTracks.chord1 || [];
+  const chord2Tracks = hintedTracks.chord2 || [];
+  const hintedChordTracks = chord1Tracks.concat(chord2Tracks);
+
+  let harmonyTracks = remaining.length > 0 ? remaining : hintedChordTracks;
+  if (harmonyTracks.length === 0) {
+    harmonyTracks = melodyTracks;
+  }
+  const chordPoolTracks = harmonyTracks
+    .slice()
+    .sort((a, b) => b.noteCount - a.noteCount || a.avgPitch - b.avgPitch)
+    .slice(0, Math.min(3, harmonyTracks.length));
+
+  return {
+    melodyTracks,
+    harmonyTracks,
+    chordPoolTracks,
+    chord1Tracks,
+    chord2Tracks,
+  };
+}
+
+function pickTrackGroups(trackStats, hintedTracks = null) {
+  if (hintedTracks) {
+    const nonPercussion = trackStats.filter((track) => !track.isPercussion);
+    return pickHintedTrackGroups(nonPercussion.length > 0 ? nonPercussion : trackStats, hintedTracks);
+  }
+
   if (trackStats.length === 0) {
     return {
       melodyTracks: [],
@@ -597,7 +1059,7 @@ function buildStepSequence(notes, stepTicks, mode, targetEndTicks = 0) {
       continue;
     }
 
-    if (mode === "chord2") {
+    if (mode === "chord2" || mode === "drums") {
       if (!hasOnset && previousPitch !== null && activeSet.has(previousPitch)) {
         sequence[i] = previousPitch;
       } else {
@@ -753,33 +1215,40 @@ function normalizeRuns(runs, baseLength, keepTrailingRests = false) {
   return normalized;
 }
 
-function buildDurationChoices(baseLength) {
+function formatDurationSuffix(choice, defaultLength) {
+  const dots = ".".repeat(choice.dots || 0);
+  if (choice.denominator === defaultLength) {
+    return dots;
+  }
+  return `${choice.denominator}${dots}`;
+}
+
+function buildDurationChoices(baseLength, options = {}) {
   const denominators = [1, 2, 4, 8, 16, 32, 64];
   const bySteps = new Map();
+  const implicitLength = Number.isFinite(options.implicitLength) ? options.implicitLength : baseLength;
+  const allowDots = options.allowDots !== false;
+
+  const addChoice = (steps, denominator, dots) => {
+    if (!Number.isInteger(steps) || steps < 1 || bySteps.has(steps)) {
+      return;
+    }
+    const choice = { steps, denominator, dots };
+    choice.suffix = formatDurationSuffix(choice, implicitLength);
+    bySteps.set(steps, choice);
+  };
 
   for (const denominator of denominators) {
     const steps = baseLength / denominator;
     if (Number.isInteger(steps) && steps >= 1) {
-      const suffix = denominator === baseLength ? "" : String(denominator);
-      const current = bySteps.get(steps);
-      if (!current || suffix.length < current.suffix.length) {
-        bySteps.set(steps, { steps, suffix });
-      }
-
-      const dottedSteps = steps + steps / 2;
-      if (Number.isInteger(dottedSteps)) {
-        const dottedSuffix = `${denominator}.`;
-        const currentDotted = bySteps.get(dottedSteps);
-        if (!currentDotted || dottedSuffix.length < currentDotted.suffix.length) {
-          bySteps.set(dottedSteps, { steps: dottedSteps, suffix: dottedSuffix });
-        }
+      addChoice(steps, denominator, 0);
+      if (allowDots) {
+        addChoice(steps + steps / 2, denominator, 1);
       }
     }
   }
 
-  if (!bySteps.has(1)) {
-    bySteps.set(1, { steps: 1, suffix: "" });
-  }
+  addChoice(1, baseLength, 0);
 
   return Array.from(bySteps.values()).sort((a, b) => b.steps - a.steps);
 }
@@ -787,9 +1256,10 @@ function buildDurationChoices(baseLength) {
 function splitDuration(steps, choices) {
   const parts = [];
   let remaining = steps;
+  const smallest = choices[choices.length - 1];
 
   while (remaining > 0) {
-    const choice = choices.find((candidate) => candidate.steps <= remaining) || { steps: 1, suffix: "" };
+    const choice = choices.find((candidate) => candidate.steps <= remaining) || smallest;
     parts.push(choice);
     remaining -= choice.steps;
   }
@@ -797,62 +1267,327 @@ function splitDuration(steps, choices) {
   return parts;
 }
 
-function encodeRuns(runs, options) {
+function buildDurationSpellingTable(choices, defaultLength, partOverhead) {
+  // Exact shortest spelling up to twice the longest value; longer runs peel off the best-ratio value first.
+  const cap = choices[0].steps * 2;
+  const partCosts = choices.map((choice) => formatDurationSuffix(choice, defaultLength).length + partOverhead);
+  const cost = new Array(cap + 1).fill(Number.POSITIVE_INFINITY);
+  const pick = new Array(cap + 1).fill(-1);
+  cost[0] = 0;
+
+  for (let steps = 1; steps <= cap; steps += 1) {
+    for (let j = 0; j < choices.length; j += 1) {
+      if (choices[j].steps > steps) {
+        continue;
+      }
+      const candidate = cost[steps - choices[j].steps] + partCosts[j];
+      if (candidate < cost[steps]) {
+        cost[steps] = candidate;
+        pick[steps] = j;
+      }
+    }
+  }
+
+  let bulkIndex = 0;
+  for (let j = 1; j < choices.length; j += 1) {
+    if (partCosts[j] / choices[j].steps < partCosts[bulkIndex] / choices[bulkIndex].steps - 1e-12) {
+      bulkIndex = j;
+    }
+  }
+
+  return {
+    cap,
+    cost,
+    pick,
+    partCosts,
+    bulkIndex,
+  };
+}
+
+const durationSpellingTables = new Map();
+
+function getDurationSpellingTable(choices, defaultLength, partOverhead) {
+  const choiceKey = choices.map((choice) => `${choice.denominator}${".".repeat(choice.dots)}`).join(",");
+  const key = `${choiceKey}|${defaultLength}|${partOverhead}`;
+  if (!durationSpellingTables.has(key)) {
+    durationSpellingTables.set(key, buildDurationSpellingTable(choices, defaultLength, partOverhead));
+  }
+  return durationSpellingTables.get(key);
+}
+
+function spellDuration(steps, choices, table) {
+  const parts = [];
+  let remaining = steps;
+  let cost = 0;
+
+  const bulk = choices[table.bulkIndex];
+  while (remaining > table.cap) {
+    parts.push(bulk);
+    remaining -= bulk.steps;
+    cost += table.partCosts[table.bulkIndex];
+  }
+
+  cost += table.cost[remaining];
+  while (remaining > 0) {
+    const choice = choices[table.pick[remaining]];
+    parts.push(choice);
+    remaining -= choice.steps;
+  }
+
+  parts.sort((a, b) => b.steps - a.steps);
+  return { parts, cost };
+}
+
+function measureDurationCost(parts, defaultLength, partOverhead) {
+  return parts.reduce((sum, part) => sum + formatDurationSuffix(part, defaultLength).length + partOverhead, 0);
+}
+
+function listDefaultLengthCandidates(choices, startLength = 4) {
+  return Array.from(new Set([4, startLength, ...choices.map((choice) => choice.denominator)])).sort((a, b) => a - b);
+}
+
+function planDefaultLengths(runSpellings, candidates, startLength = 4) {
+  if (runSpellings.length === 0) {
+    return [];
+  }
+
+  // The parser starts at l4 (or wherever the previous phrase left off), so staying there needs no token.
+  const switchCost = (length) => `l${length}`.length;
+  const runCost = (index, length) => runSpellings[index].get(length).cost;
+
+  let costs = candidates.map((length) => (length === startLength ? 0 : switchCost(length)) + runCost(0, length));
+  const backPointers = [];
+
+  for (let i = 1; i < runSpellings.length; i += 1) {
+    let bestIndex = 0;
+    for (let j = 1; j < costs.length; j += 1) {
+      if (costs[j] < costs[bestIndex]) {
+        bestIndex = j;
+      }
+    }
+
+    const pointers = [];
+    const nextCosts = [];
+    for (let j = 0; j < candidates.length; j += 1) {
+      const stay = costs[j];
+      const jump = costs[bestIndex] + switchCost(candidates[j]);
+      const cost = runCost(i, candidates[j]);
+      if (stay <= jump) {
+        nextCosts.push(stay + cost);
+        pointers.push(j);
+      } else {
+        nextCosts.push(jump + cost);
+        pointers.push(bestIndex);
+      }
+    }
+    backPointers.push(pointers);
+    costs = nextCosts;
+  }
+
+  let index = 0;
+  for (let j = 1; j < costs.length; j += 1) {
+    if (costs[j] < costs[index]) {
+      index = j;
+    }
+  }
+
+  const plan = new Array(runSpellings.length);
+  for (let i = runSpellings.length - 1; i >= 0; i -= 1) {
+    plan[i] = candidates[index];
+    if (i > 0) {
+      index = backPointers[i - 1][index];
+    }
+  }
+  return plan;
+}
+
+function spellOctaveChange(fromOctave, toOctave, options) {
+  if (fromOctave === toOctave) {
+    return "";
+  }
+
+  // Both spellings land on the same octave, so the cheapest local choice is also globally optimal.
+  const relative = (toOctave > fromOctave ? ">" : "<").repeat(Math.abs(toOctave - fromOctave));
+  const absolute = `o${toOctave}`;
+  if (!options.allowRelative) {
+    return absolute;
+  }
+  if (!options.allowAbsolute) {
+    return relative;
+  }
+  return absolute.length < relative.length ? absolute : relative;
+}
+
+// A run that spans a tempo change is cut there and struck again after the `t`: players only read `t` between notes.
+function splitRunsAtTempoSteps(runs, tempoSteps) {
+  if (tempoSteps.length === 0) {
+    return { runs, trailingTempo: null };
+  }
+
+  const pieces = [];
+  let position = 0;
+  let eventIndex = 0;
+  for (const run of runs) {
+    const end = position + run.length;
+    let start = position;
+    let tempo = null;
+    while (eventIndex < tempoSteps.length && tempoSteps[eventIndex].step < end) {
+      const event = tempoSteps[eventIndex];
+      if (event.step > start) {
+        pieces.push({ ...run, start, end: event.step, length: event.step - start, tempo });
+        start = event.step;
+      }
+      tempo = event.bpm;
+      eventIndex += 1;
+    }
+    pieces.push({ ...run, start, end, length: end - start, tempo });
+    position = end;
+  }
+
+  // Changes past the last run still matter to whatever follows this phrase.
+  const trailing = tempoSteps.slice(eventIndex);
+  return { runs: pieces, trailingTempo: trailing.length > 0 ? trailing[trailing.length - 1].bpm : null };
+}
+
+function encodeRuns(sourceRuns, options) {
   const tokens = [];
   const tokenSteps = [];
   const baseLength = options.baseLength;
-  const durationChoices = buildDurationChoices(baseLength);
+  const commands = new Set(options.commands || DEFAULT_PROFILE.commands);
+  const octaveRange = options.octaveRange || DEFAULT_PROFILE.octave;
+  const allowLength = commands.has("l");
+  const allowRelativeOctave = commands.has("<") && commands.has(">");
+  const durationChoices = buildDurationChoices(baseLength, {
+    implicitLength: 4,
+    allowDots: commands.has("."),
+  });
+  const tiePrefix = commands.has("&") ? "&" : "";
+  const stepTicks = Number.isFinite(options.stepTicks) && options.stepTicks > 0 ? options.stepTicks : 1;
+  const tempoSteps = commands.has("t")
+    ? (options.tempoChanges || []).map((change) => ({ step: Math.round(change.ticks / stepTicks), bpm: change.bpm }))
+    : [];
+  const { runs, trailingTempo } = splitRunsAtTempoSteps(sourceRuns, tempoSteps);
+  const volumeSteps = commands.has("v")
+    ? (options.volumeChanges || []).map((change) => ({ step: Math.round(change.ticks / stepTicks), volume: change.volume }))
+    : [];
+  const startOctave = Number.isFinite(options.startOctave) ? options.startOctave : 4;
+  const startLength = Number.isFinite(options.startLength) ? options.startLength : 4;
+  const lengthCandidates = allowLength ? listDefaultLengthCandidates(durationChoices, startLength) : [startLength];
+  const runOverheads = runs.map((run) => (run.value === null ? 1 : tiePrefix.length + midiToPitchInfo(run.value).name.length));
+  const spellingTables = new Map();
+  const runSpellings = runs.map((run, index) => {
+    const byLength = new Map();
+    for (const length of lengthCandidates) {
+      const tableKey = `${length}|${runOverheads[index]}`;
+      if (!spellingTables.has(tableKey)) {
+        spellingTables.set(tableKey, getDurationSpellingTable(durationChoices, length, runOverheads[index]));
+      }
+      byLength.set(length, spellDuration(run.length, durationChoices, spellingTables.get(tableKey)));
+    }
+    return byLength;
+  });
+  const lengthPlan = planDefaultLengths(runSpellings, lengthCandidates, startLength);
+  let savedChars = 0;
 
-  if (options.includeTempo) {
+  if (options.includeTempo && commands.has("t")) {
     tokens.push(`t${options.tempo}`);
     tokenSteps.push(0);
   }
-  tokens.push(`v${options.volume}`);
-  tokenSteps.push(0);
-
-  const firstPitchRun = runs.find((run) => run.value !== null);
-  let currentOctave = firstPitchRun ? midiToPitchInfo(firstPitchRun.value).octave : 4;
-  currentOctave = clamp(currentOctave, 0, 9);
-  tokens.push(`o${currentOctave}`);
-  tokenSteps.push(0);
-  tokens.push(`l${baseLength}`);
-  tokenSteps.push(0);
+  let currentVolume = Number.isFinite(options.startVolume) ? options.startVolume : null;
+  if (options.includeVolume !== false && commands.has("v")) {
+    tokens.push(`v${options.volume}`);
+    tokenSteps.push(0);
+    currentVolume = options.volume;
+  }
+  let volumeIndex = 0;
+  let pendingVolume = null;
+  let position = 0;
+
+  // Start from the parser default o4; the first note's spelling covers any jump.
+  let currentOctave = startOctave;
+  let currentLength = startLength;
+  if (lengthPlan.length > 0 && lengthPlan[0] !== currentLength) {
+    currentLength = lengthPlan[0];
+    tokens.push(`l${currentLength}`);
+    tokenSteps.push(0);
+  }
 
-  for (const run of runs) {
-    const durationParts = splitDuration(run.length, durationChoices);
+  for (let runIndex = 0; runIndex < runs.length; runIndex += 1) {
+    const run = runs[runIndex];
+    if (Number.isFinite(run.tempo)) {
+      tokens.push(`t${run.tempo}`);
+      tokenSteps.push(0);
+    }
+    while (volumeIndex < volumeSteps.length && volumeSteps[volumeIndex].step <= position) {
+      pendingVolume = volumeSteps[volumeIndex].volume;
+      volumeIndex += 1;
+    }
+    position += run.length;
+    // Volume only matters where a note sounds, so a change waits for the next struck note.
+    if (pendingVolume !== null && run.value !== null) {
+      if (pendingVolume !== currentVolume) {
+        tokens.push(`v${pendingVolume}`);
+        tokenSteps.push(0);
+        currentVolume = pendingVolume;
+      }
+      pendingVolume = null;
+    }
+    let lengthPrefix = "";
+    if (lengthPlan[runIndex] !== currentLength) {
+      currentLength = lengthPlan[runIndex];
+      lengthPrefix = `l${currentLength}`;
+    }
+    const spelling = runSpellings[runIndex].get(currentLength);
+    const durationParts = spelling.parts;
+    const greedyParts = splitDuration(run.length, durationChoices);
+    savedChars += measureDurationCost(greedyParts, currentLength, runOverheads[runIndex]) - spelling.cost;
 
     if (run.value === null) {
-      for (const part of durationParts) {
-        tokens.push(`r${part.suffix}`);
+      for (let i = 0; i < durationParts.length; i += 1) {
+        const part = durationParts[i];
+        tokens.push(`${i === 0 ? lengthPrefix : ""}r${formatDurationSuffix(part, currentLength)}`);
         tokenSteps.push(part.steps);
       }
       continue;
     }
 
     const noteInfo = midiToPitchInfo(run.value);
-    let shift = "";
-    while (currentOctave < noteInfo.octave) {
-      shift += ">";
-      currentOctave += 1;
-    }
-    while (currentOctave > noteInfo.octave) {
-      shift += "<";
-      currentOctave -= 1;
-    }
+    const targetOctave = clamp(noteInfo.octave, octaveRange.min, octaveRange.max);
+    const shift = spellOctaveChange(currentOctave, targetOctave, {
+      allowAbsolute: commands.has("o"),
+      allowRelative: allowRelativeOctave,
+    });
+    currentOctave = targetOctave;
 
     const firstPart = durationParts[0];
-    tokens.push(`${shift}${noteInfo.name}${firstPart.suffix}`);
+    tokens.push(`${lengthPrefix}${shift}${noteInfo.name}${formatDurationSuffix(firstPart, currentLength)}`);
     tokenSteps.push(firstPart.steps);
     for (let i = 1; i < durationParts.length; i += 1) {
-      tokens.push(`&${noteInfo.name}${durationParts[i].suffix}`);
+      tokens.push(`${tiePrefix}${noteInfo.name}${formatDurationSuffix(durationParts[i], currentLength)}`);
       tokenSteps.push(durationParts[i].steps);
     }
   }
+  if (trailingTempo !== null) {
+    tokens.push(`t${trailingTempo}`);
+    tokenSteps.push(0);
+  }
+  if (volumeIndex < volumeSteps.length) {
+    pendingVolume = volumeSteps[volumeSteps.length - 1].volume;
+  }
+  if (pendingVolume !== null && pendingVolume !== currentVolume) {
+    tokens.push(`v${pendingVolume}`);
+    tokenSteps.push(0);
+    currentVolume = pendingVolume;
+  }
 
   return {
     text: tokens.join(""),
     tokens,
     tokenSteps,
+    savedChars,
+    endOctave: currentOctave,
+    endVolume: currentVolume,
+    endLength: currentLength,
   };
 }
 
@@ -878,13 +1613,26 @@ function isNoteStartToken(token) {
   }
 
   const first = token[0];
-  if (first === "&" || first === "r" || first === "t" || first === "v" || first === "o" || first === "l") {
+  if (first === "&" || first === "r" || first === "t" || first === "v") {
     return false;
   }
 
+  // Skip octave/length prefixes such as ">", "o5" or "l8" attached to the note.
   let index = 0;
-  while (index < token.length && (token[index] === ">" || token[index] === "<")) {
-    index += 1;
+  while (index < token.length) {
+    const ch = token[index];
+    if (ch === ">" || ch === "<") {
+      index += 1;
+      continue;
+    }
+    if ((ch === "o" || ch === "l") && /[0-9]/.test(token[index + 1] || "")) {
+      index += 1;
+      while (index < token.length && /[0-9]/.test(token[index])) {
+        index += 1;
+      }
+      continue;
+    }
+    break;
   }
   if (index >= token.length) {
     return false;
@@ -968,8 +1716,83 @@ function averageVelocity(notes, fallback) {
   return sum / notes.length;
 }
 
-function mapVolume(velocityAverage) {
-  return clamp(Math.round(8 + velocityAverage * 7), 6, 15);
+function getVolumeFloor(volumeRange) {
+  return Math.max(volumeRange.min, Math.round((volumeRange.max * 6) / 15));
+}
+
+function mapVolume(velocityAverage, volumeRange = DEFAULT_PROFILE.volume) {
+  const scaled = ((8 + velocityAverage * 7) * volumeRange.max) / 15;
+  return clamp(Math.round(scaled), getVolumeFloor(volumeRange), volumeRange.max);
+}
+
+// Level-notes of volume error one `v` character has to buy back before a dynamics change is worth writing.
+const DYNAMICS_CHAR_WEIGHT = 2;
+
+/**
+ * Splits a part into bar-aligned stretches of constant volume. Each note wants the part volume shifted by how far its
+ * velocity sits from the part average; a new stretch starts only where the reduction in total level error pays for
+ * the `v` command it costs.
+ *
+ * @returns {Array<{ticks: number, volume: number}>} Volume plan; the first entry starts at tick 0.
+ */
+function planDynamics(notes, baseVolume, volumeRange, barTicks) {
+  if (!notes || notes.length === 0) {
+    return [{ ticks: 0, volume: baseVolume }];
+  }
+
+  const floor = getVolumeFloor(volumeRange);
+  const levelCount = volumeRange.max - floor + 1;
+  const averageLevel = mapVolume(averageVelocity(notes, 0.7), volumeRange);
+  const bars = new Map();
+  for (const note of notes) {
+    const bar = Math.floor(note.ticks / barTicks);
+    if (!bars.has(bar)) {
+      bars.set(bar, new Array(levelCount).fill(0));
+    }
+    const level = clamp(baseVolume + mapVolume(note.velocity, volumeRange) - averageLevel, floor, volumeRange.max);
+    bars.get(bar)[level - floor] += 1;
+  }
+  const barIndexes = Array.from(bars.keys()).sort((a, b) => a - b);
+
+  // Weighted median of a level histogram and its total distance.
+  const fitLevel = (histogram) => {
+    const total = histogram.reduce((sum, count) => sum + count, 0);
+    let seen = 0;
+    let median = 0;
+    while (seen + histogram[median] < total / 2) {
+      seen += histogram[median];
+      median += 1;
+    }
+    const error = histogram.reduce((sum, count, index) => sum + count * Math.abs(index - median), 0);
+    return { volume: median + floor, error };
+  };
+
+  const best = new Array(barIndexes.length + 1).fill(null);
+  best[0] = { cost: 0, from: -1, volume: null };
+  for (let start = 0; start < barIndexes.length; start += 1) {
+    if (!best[start]) {
+      continue;
+    }
+    const histogram = new Array(levelCount).fill(0);
+    for (let end = start; end < barIndexes.length; end += 1) {
+      bars.get(barIndexes[end]).forEach((count, index) => {
+        histogram[index] += count;
+      });
+      const { volume, error } = fitLevel(histogram);
+      const changeCost = start > 0 ? `v${volume}`.length * DYNAMICS_CHAR_WEIGHT : 0;
+      const cost = best[start].cost + error + changeCost;
+      if (!best[end + 1] || cost < best[end + 1].cost - 1e-9) {
+        best[end + 1] = { cost, from: start, volume };
+      }
+    }
+  }
+
+  const plan = [];
+  for (let end = barIndexes.length; end > 0; end = best[end].from) {
+    const start = best[end].from;
+    plan.unshift({ ticks: start === 0 ? 0 : barIndexes[start] * barTicks, volume: best[end].volume });
+  }
+  return plan.filter((entry, index) => index === 0 || entry.volume !== plan[index - 1].volume);
 }
 
 function scorePitchMatch(referencePitch, candidatePitch) {
@@ -1109,6 +1932,285 @@ function evaluateSequenceFidelityWithinTicks(referenceSequence, referenceStepTic
   return score / count;
 }
 
+function listStepCandidates(mode, compress) {
+  if (!compress) {
+    return [128, 112, 96, 80, 64, 48, 40, 32, 24, 20, 16, 12, 10, 8, 6, 4];
+  }
+  return mode === "melody"
+    ? [128, 112, 96, 80, 64, 48, 40, 32, 24, 20, 16, 12, 10, 8]
+    : [128, 112, 96, 80, 64, 48, 40, 32, 24, 20, 16, 12, 10, 8, 6, 4, 3, 2, 1];
+}
+
+function splitPhraseRanges(notes, endTicks, ppq, minBars = 2) {
+  const barTicks = ppq * 4;
+  const ranges = [];
+  let startTicks = 0;
+
+  for (let tick = barTicks * minBars; tick + barTicks <= endTicks; tick += barTicks) {
+    if (tick - startTicks < barTicks * minBars || countActiveNotesAtTick(notes, tick) > 0) {
+      continue;
+    }
+    ranges.push({ startTicks, endTicks: tick });
+    startTicks = tick;
+  }
+
+  if (endTicks > startTicks) {
+    ranges.push({ startTicks, endTicks });
+  }
+  return ranges;
+}
+
+function fitRunsToSteps(runs, totalSteps) {
+  const fitted = [];
+  for (const run of runs) {
+    if (run.start >= totalSteps) {
+      break;
+    }
+    const end = Math.min(run.end, totalSteps);
+    fitted.push({ ...run, end, length: end - run.start });
+  }
+
+  const cursor = fitted.length > 0 ? fitted[fitted.length - 1].end : 0;
+  if (cursor < totalSteps) {
+    const last = fitted[fitted.length - 1];
+    if (last && last.value === null) {
+      last.end = totalSteps;
+      last.length = totalSteps - last.start;
+    } else {
+      fitted.push({ value: null, start: cursor, end: totalSteps, length: totalSteps - cursor });
+    }
+  }
+  return fitted;
+}
+
+function buildPhraseGridOptions(phrase, context) {
+  const {
+    mode,
+    ppq,
+    stepCandidates,
+    preferMonophonicFlow,
+    referenceSequence,
+    referenceStepTicks,
+    encodeOptions,
+  } = context;
+  const phraseTicks = phrase.endTicks - phrase.startTicks;
+  const keepTrailingRests = phrase.isLast ? context.keepTrailingRests : true;
+  const referenceStart = Math.round(phrase.startTicks / referenceStepTicks);
+  const referenceEnd = phrase.isLast
+    ? referenceSequence.length
+    : Math.round(phrase.endTicks / referenceStepTicks);
+  const referenceSlice = referenceSequence.slice(referenceStart, Math.max(referenceStart + 1, referenceEnd));
+  const options = [];
+
+  for (const stepsPerQuarter of stepCandidates) {
+    const stepTicks = ppq / stepsPerQuarter;
+    const baseLength = 4 * stepsPerQuarter;
+    let runs = preferMonophonicFlow
+      ? buildMonophonicRunsFromNotes(phrase.notes, stepTicks, phraseTicks, keepTrailingRests)
+      : normalizeRuns(
+        sequenceToRuns(buildStepSequence(phrase.notes, stepTicks, mode, phraseTicks)),
+        baseLength,
+        keepTrailingRests,
+      );
+    if (!phrase.isLast) {
+      runs = fitRunsToSteps(runs, Math.round(phraseTicks / stepTicks));
+    }
+
+    const totalSteps = runs.length > 0 ? runs[runs.length - 1].end : 0;
+    const sequence = runsToSequence(runs, Math.max(1, totalSteps));
+    const fidelity = evaluateSequenceFidelity(referenceSlice, referenceStepTicks, sequence, stepTicks);
+    const encoded = encodeRuns(runs, {
+      ...encodeOptions,
+      baseLength,
+      stepTicks,
+      tempoChanges: sliceTickEvents(encodeOptions.tempoChanges, phrase.startTicks, phrase.isLast ? Infinity : phrase.endTicks),
+      volumeChanges: sliceTickEvents(encodeOptions.volumeChanges, phrase.startTicks, phrase.isLast ? Infinity : phrase.endTicks),
+      includeTempo: false,
+      includeVolume: false,
+    });
+    options.push({
+      stepsPerQuarter,
+      stepTicks,
+      baseLength,
+      runs,
+      cost: encoded.text.length,
+      value: fidelity * referenceSlice.length,
+    });
+  }
+
+  return options
+    .sort((a, b) => a.cost - b.cost || b.value - a.value || a.stepsPerQuarter - b.stepsPerQuarter)
+    .filter((option, index, sorted) => index === 0 || option.value > sorted[index - 1].value + 1e-9);
+}
+
+function choosePhraseGrids(phraseOptions, budget) {
+  const pick = (lambda) => phraseOptions.map((options) => {
+    let best = options[0];
+    for (const option of options) {
+      if (option.value - lambda * option.cost > best.value - lambda * best.cost + 1e-9) {
+        best = option;
+      }
+    }
+    return best;
+  });
+  const totalCost = (choices) => choices.reduce((sum, option) => sum + option.cost, 0);
+
+  const richest = pick(0);
+  if (totalCost(richest) <= budget) {
+    return richest;
+  }
+  const cheapest = phraseOptions.map((options) => options[0]);
+  if (totalCost(cheapest) > budget) {
+    return null;
+  }
+
+  // Lagrangian relaxation: raise the per-character price until the chosen grids fit the budget.
+  let low = 0;
+  let high = 1;
+  while (totalCost(pick(high)) > budget && high < 1e9) {
+    high *= 2;
+  }
+  for (let i = 0; i < 40; i += 1) {
+    const middle = (low + high) / 2;
+    if (totalCost(pick(middle)) > budget) {
+      low = middle;
+    } else {
+      high = middle;
+    }
+  }
+
+  const choices = pick(high);
+  let remaining = budget - totalCost(choices);
+  let upgraded = true;
+  while (upgraded) {
+    upgraded = false;
+    let bestGain = 0;
+    let bestUpgrade = null;
+    phraseOptions.forEach((options, index) => {
+      for (const option of options) {
+        const extra = option.cost - choices[index].cost;
+        const gain = option.value - choices[index].value;
+        if (extra > 0 && extra <= remaining && gain / extra > bestGain) {
+          bestGain = gain / extra;
+          bestUpgrade = { index, option, extra };
+        }
+      }
+    });
+    if (bestUpgrade) {
+      choices[bestUpgrade.index] = bestUpgrade.option;
+      remaining -= bestUpgrade.extra;
+      upgraded = true;
+    }
+  }
+  return choices;
+}
+
+function encodePhraseChoices(phrases, choices, encodeOptions) {
+  const tokens = [];
+  const tokenTicks = [];
+  let savedChars = 0;
+  let startOctave = 4;
+  let startLength = 4;
+  let startVolume = null;
+
+  choices.forEach((choice, index) => {
+    const phrase = phrases[index];
+    const encoded = encodeRuns(choice.runs, {
+      ...encodeOptions,
+      baseLength: choice.baseLength,
+      stepTicks: choice.stepTicks,
+      tempoChanges: sliceTickEvents(encodeOptions.tempoChanges, phrase.startTicks, phrase.isLast ? Infinity : phrase.endTicks),
+      volumeChanges: sliceTickEvents(encodeOptions.volumeChanges, phrase.startTicks, phrase.isLast ? Infinity : phrase.endTicks),
+      includeTempo: index === 0 && encodeOptions.includeTempo,
+      includeVolume: index === 0,
+      startOctave,
+      startLength,
+      startVolume,
+    });
+    encoded.tokens.forEach((token, tokenIndex) => {
+      tokens.push(token);
+      tokenTicks.push(encoded.tokenSteps[tokenIndex] * choice.stepTicks);
+    });
+    savedChars += encoded.savedChars;
+    startOctave = encoded.endOctave;
+    startVolume = encoded.endVolume;
+    startLength = encoded.endLength;
+  });
+
+  return {
+    text: tokens.join(""),
+    tokens,
+    tokenSteps: tokenTicks,
+    savedChars,
+    phraseGrids: choices.map((choice, index) => ({
+      startTicks: phrases[index].startTicks,
+      endTicks: phrases[index].endTicks,
+      stepsPerQuarter: choice.stepsPerQuarter,
+    })),
+  };
+}
+
+function buildPhraseCandidate(context) {
+  const { notes, ppq, endTicks, safeLimit, referenceSequence, referenceStepTicks, encodeOptions } = context;
+  const ranges = splitPhraseRanges(notes, endTicks, ppq);
+  if (ranges.length < 2) {
+    return null;
+  }
+
+  const phrases = ranges.map((range, index) => ({
+    ...range,
+    isLast: index === ranges.length - 1,
+    notes: sliceNotesByRange(notes, range.startTicks, range.endTicks),
+  }));
+  const phraseOptions = phrases.map((phrase) => buildPhraseGridOptions(phrase, context));
+  const headerLength = encodeRuns([], { ...encodeOptions, baseLength: 4, tempoChanges: [], volumeChanges: [] }).text.length;
+
+  let budget = safeLimit - headerLength;
+  let encoded = null;
+  let choices = null;
+  for (let attempt = 0; attempt < 6; attempt += 1) {
+    choices = choosePhraseGrids(phraseOptions, budget);
+    if (!choices) {
+      return null;
+    }
+    encoded = encodePhraseChoices(phrases, choices, encodeOptions);
+    if (encoded.text.length <= safeLimit) {
+      break;
+    }
+    budget -= encoded.text.length - safeLimit;
+  }
+  if (encoded.text.length > safeLimit) {
+    return null;
+  }
+
+  const sequence = new Array(referenceSequence.length).fill(null);
+  choices.forEach((choice, index) => {
+    for (const run of choice.runs) {
+      const from = Math.round((phrases[index].startTicks + run.start * choice.stepTicks) / referenceStepTicks);
+      const to = Math.min(sequence.length, Math.round((phrases[index].startTicks + run.end * choice.stepTicks) / referenceStepTicks));
+      for (let i = from; i < to; i += 1) {
+        sequence[i] = run.value;
+      }
+    }
+  });
+
+  const coveredTicks = phrases.reduce((sum, phrase) => sum + phrase.endTicks - phrase.startTicks, 0);
+  const stepsPerQuarter = choices.reduce(
+    (sum, choice, index) => sum + choice.stepsPerQuarter * (phrases[index].endTicks - phrases[index].startTicks),
+    0,
+  ) / Math.max(1, coveredTicks);
+
+  return {
+    encoded,
+    sequence,
+    stepsPerQuarter,
+    noteEventCount: choices.reduce(
+      (sum, choice) => sum + choice.runs.reduce((count, run) => count + (run.value === null ? 0 : 1), 0),
+      0,
+    ),
+  };
+}
+
 function buildPartText(config) {
   const {
     notes,
@@ -1123,6 +2225,9 @@ function buildPartText(config) {
     returnMeta,
     strictPrefix,
   } = config;
+  const profile = config.profile || DEFAULT_PROFILE;
+  const tempoChanges = config.tempoChanges || [];
+  const volumeChanges = config.volumeChanges || [];
 
   const safeLimit = Number.isFinite(limit) ? limit : Number.MAX_SAFE_INTEGER;
   const forcedEndTicks = Number.isFinite(targetDurationTicks) && targetDurationTicks > 0 ? targetDurationTicks : 0;
@@ -1142,25 +2247,144 @@ function buildPartText(config) {
     ppq * 64,
     Math.min(ppq * 192, Math.floor(sourceEndTicks * 0.35)),
   );
+  // Reported scores are relative to an exact copy of the source, so they stay within 0..1.
+  const perfectFidelity = returnMeta
+    ? evaluateSequenceFidelity(referenceSequence, referenceStepTicks, referenceSequence, referenceStepTicks)
+    : 0;
+  const perfectEarlyFidelity = returnMeta
+    ? evaluateSequenceFidelityWithinTicks(referenceSequence, referenceStepTicks, referenceSequence, referenceStepTicks, frontPriorityTicks)
+    : 0;
+  const toReportedScore = (value, perfect) => (Number.isFinite(value) && perfect > 0 ? clamp(value / perfect, 0, 1) : null);
 
-  const melodyCompressSteps = [128, 112, 96, 80, 64, 48, 40, 32, 24, 20, 16, 12, 10, 8];
-  const harmonyCompressSteps = [128, 112, 96, 80, 64, 48, 40, 32, 24, 20, 16, 12, 10, 8, 6, 4, 3, 2, 1];
-  const normalSteps = [128, 112, 96, 80, 64, 48, 40, 32, 24, 20, 16, 12, 10, 8, 6, 4];
-  const compressStepsByMode = mode === "melody" ? melodyCompressSteps : harmonyCompressSteps;
-  const stepCandidates = enforcePrefixTruncation
-    ? compressStepsByMode
-    : (compress ? compressStepsByMode : normalSteps);
-  const simplifyLevelPasses = enforcePrefixTruncation
-    ? [[0]]
-    : (compress
-      ? (preferMonophonicFlow ? [[0]] : [[0], [1, 2, 3]])
-      : [[0]]);
+  const stepCandidates = listStepCandidates(mode, compress || enforcePrefixTruncation);
+  // Simplified passes only run when no level-0 encoding fits, so they mostly serve the compress common end.
+  const simplifyLevelPasses = compress ? [[0], [1, 2, 3]] : [[0]];
   let bestWithinLimit = null;
   let lowPriorityWithin = null;
   let bestOverflow = null;
 
+  const considerCandidate = (candidate) => {
+    const {
+      encoded,
+      fidelity,
+      earlyFidelity,
+      simplifyLevel,
+      stepsPerQuarter,
+      stepTicks,
+      noteEventCount,
+    } = candidate;
+    const detailBonus = Math.min(0.22, stepsPerQuarter / 700);
+    const noteCoverage = sourceNoteCount > 0 ? noteEventCount / sourceNoteCount : 1;
+
+    const prefersDetailedWithin = compress && !enforcePrefixTruncation;
+    const allowWithinCandidate = !prefersDetailedWithin || stepsPerQuarter >= 6;
+
+    if (encoded.text.length <= safeLimit && allowWithinCandidate) {
+      const fidelityScore = fidelity - simplifyLevel * 0.14 + detailBonus + noteCoverage * 0.03
+        + earlyFidelity * (compress ? 0.35 : 0.12);
+      const betterCandidate = enforcePrefixTruncation
+        ? (
+          !bestWithinLimit ||
+          noteEventCount > bestWithinLimit.noteEventCount + 1e-9 ||
+          (
+            Math.abs(noteEventCount - bestWithinLimit.noteEventCount) <= 1e-9 &&
+            (
+              fidelityScore > bestWithinLimit.score + 1e-9 ||
+              (
+                Math.abs(fidelityScore - bestWithinLimit.score) <= 1e-9 &&
+                encoded.text.length < bestWithinLimit.encoded.text.length
+              )
+            )
+          )
+        )
+        : (
+          !bestWithinLimit ||
+          fidelityScore > bestWithinLimit.score + 1e-9 ||
+          (
+            Math.abs(fidelityScore - bestWithinLimit.score) <= 1e-9 &&
+            (stepsPerQuarter > bestWithinLimit.stepsPerQuarter ||
+              (stepsPerQuarter === bestWithinLimit.stepsPerQuarter && encoded.text.length < bestWithinLimit.encoded.text.length))
+          )
+        );
+      if (betterCandidate) {
+        bestWithinLimit = {
+          ...candidate,
+          score: fidelityScore,
+        };
+      }
+    } else if (encoded.text.length <= safeLimit) {
+      const fallbackScore = fidelity - simplifyLevel * 0.14 + detailBonus + noteCoverage * 0.03
+        + earlyFidelity * (compress ? 0.35 : 0.12);
+      const betterFallback = !lowPriorityWithin
+        || fallbackScore > lowPriorityWithin.score + 1e-9
+        || (
+          Math.abs(fallbackScore - lowPriorityWithin.score) <= 1e-9
+          && stepsPerQuarter > lowPriorityWithin.stepsPerQuarter
+        );
+      if (betterFallback) {
+        lowPriorityWithin = {
+          ...candidate,
+          score: fallbackScore,
+        };
+      }
+    } else {
+      const overflowRatio = (encoded.text.length - safeLimit) / Math.max(1, safeLimit);
+      const overflowScore = fidelity - overflowRatio * 3 - simplifyLevel * 0.16 + detailBonus * 0.4 + noteCoverage * 0.05
+        + earlyFidelity * (compress ? 0.55 : 0.18);
+      const overflowTruncation = enforcePrefixTruncation
+        ? truncateTokensWithStats(encoded.tokens, encoded.tokenSteps, safeLimit)
+        : null;
+      const overflowRetainedEndTicks = overflowTruncation ? overflowTruncation.retainedSteps * stepTicks : 0;
+      const projectedNotes = noteEventCount * Math.min(1, safeLimit / Math.max(1, encoded.text.length));
+      const betterCandidate = enforcePrefixTruncation
+        ? (
+          !bestOverflow ||
+          overflowRetainedEndTicks > bestOverflow.retainedEndTicks + 1e-9 ||
+          (
+            Math.abs(overflowRetainedEndTicks - bestOverflow.retainedEndTicks) <= 1e-9 &&
+            (
+              overflowTruncation.noteEventCount > bestOverflow.retainedNoteEventCount + 1e-9 ||
+              (
+                Math.abs(overflowTruncation.noteEventCount - bestOverflow.retainedNoteEventCount) <= 1e-9 &&
+                (
+                  overflowScore > bestOverflow.score + 1e-9 ||
+                  (
+                    Math.abs(overflowScore - bestOverflow.score) <= 1e-9 &&
+                    encoded.text.length < bestOverflow.encoded.text.length
+                  )
+                )
+              )
+            )
+          )
+        )
+        : (
+          !bestOverflow ||
+          projectedNotes > bestOverflow.projectedNotes + 0.5 ||
+          (
+            Math.abs(projectedNotes - bestOverflow.projectedNotes) <= 0.5 &&
+            noteEventCount > bestOverflow.noteEventCount + 1
+          ) ||
+          overflowScore > bestOverflow.score + 1e-9 ||
+          (Math.abs(overflowScore - bestOverflow.score) <= 1e-9 && encoded.text.length < bestOverflow.encoded.text.length)
+        );
+      if (betterCandidate) {
+        bestOverflow = {
+          ...candidate,
+          projectedNotes,
+          score: overflowScore,
+          retainedEndTicks: overflowRetainedEndTicks,
+          retainedNoteEventCount: overflowTruncation ? overflowTruncation.noteEventCount : 0,
+        };
+      }
+    }
+  };
+
   for (let passIndex = 0; passIndex < simplifyLevelPasses.length; passIndex += 1) {
     const simplifyLevels = simplifyLevelPasses[passIndex];
+    // A single line is only simplified when no grid fits it at all.
+    if (passIndex > 0 && preferMonophonicFlow && lowPriorityWithin) {
+      break;
+    }
 
     for (const stepsPerQuarter of stepCandidates) {
       const stepTicks = ppq / stepsPerQuarter;
@@ -1190,6 +2414,11 @@ function buildPartText(config) {
           volume,
           includeTempo,
           baseLength,
+          stepTicks,
+          tempoChanges,
+          volumeChanges,
+          commands: profile.commands,
+          octaveRange: profile.octave,
         });
 
         const fidelity = evaluateSequenceFidelity(referenceSequence, referenceStepTicks, sequence, stepTicks);
@@ -1200,119 +2429,59 @@ function buildPartText(config) {
           stepTicks,
           frontPriorityTicks,
         );
-        const detailBonus = Math.min(0.22, stepsPerQuarter / 700);
         const noteEventCount = runs.reduce((sum, run) => sum + (run.value === null ? 0 : 1), 0);
-        const noteCoverage = sourceNoteCount > 0 ? noteEventCount / sourceNoteCount : 1;
-        const candidate = {
+        considerCandidate({
           encoded,
           fidelity,
           earlyFidelity,
           simplifyLevel,
           stepsPerQuarter,
+          stepTicks,
           noteEventCount,
-        };
-
-        const prefersDetailedWithin = compress && !enforcePrefixTruncation;
-        const allowWithinCandidate = !prefersDetailedWithin || stepsPerQuarter >= 6;
+          phraseGrids: [{ startTicks: 0, endTicks: sequence.length * stepTicks, stepsPerQuarter }],
+        });
+      }
+    }
 
-        if (encoded.text.length <= safeLimit && allowWithinCandidate) {
-          const fidelityScore = fidelity - simplifyLevel * 0.14 + detailBonus + noteCoverage * 0.03
-            + earlyFidelity * (compress ? 0.35 : 0.12);
-          const betterCandidate = enforcePrefixTruncation
-            ? (
-              !bestWithinLimit ||
-              noteEventCount > bestWithinLimit.noteEventCount + 1e-9 ||
-              (
-                Math.abs(noteEventCount - bestWithinLimit.noteEventCount) <= 1e-9 &&
-                (
-                  fidelityScore > bestWithinLimit.score + 1e-9 ||
-                  (
-                    Math.abs(fidelityScore - bestWithinLimit.score) <= 1e-9 &&
-                    encoded.text.length < bestWithinLimit.encoded.text.length
-                  )
-                )
-              )
-            )
-            : (
-              !bestWithinLimit ||
-              fidelityScore > bestWithinLimit.score + 1e-9 ||
-              (
-                Math.abs(fidelityScore - bestWithinLimit.score) <= 1e-9 &&
-                (stepsPerQuarter > bestWithinLimit.stepsPerQuarter ||
-                  (stepsPerQuarter === bestWithinLimit.stepsPerQuarter && encoded.text.length < bestWithinLimit.encoded.text.length))
-              )
-            );
-          if (betterCandidate) {
-            bestWithinLimit = {
-              ...candidate,
-              score: fidelityScore,
-            };
-          }
-        } else if (encoded.text.length <= safeLimit) {
-          const fallbackScore = fidelity - simplifyLevel * 0.14 + detailBonus + noteCoverage * 0.03
-            + earlyFidelity * (compress ? 0.35 : 0.12);
-          const betterFallback = !lowPriorityWithin
-            || fallbackScore > lowPriorityWithin.score + 1e-9
-            || (
-              Math.abs(fallbackScore - lowPriorityWithin.score) <= 1e-9
-              && stepsPerQuarter > lowPriorityWithin.stepsPerQuarter
-            );
-          if (betterFallback) {
-            lowPriorityWithin = {
-              ...candidate,
-              score: fallbackScore,
-            };
-          }
-        } else {
-          const overflowRatio = (encoded.text.length - safeLimit) / Math.max(1, safeLimit);
-          const overflowScore = fidelity - overflowRatio * 3 - simplifyLevel * 0.16 + detailBonus * 0.4 + noteCoverage * 0.05
-            + earlyFidelity * (compress ? 0.55 : 0.18);
-          const overflowTruncation = enforcePrefixTruncation
-            ? truncateTokensWithStats(encoded.tokens, encoded.tokenSteps, safeLimit)
-            : null;
-          const overflowRetainedEndTicks = overflowTruncation ? overflowTruncation.retainedSteps * stepTicks : 0;
-          const projectedNotes = noteEventCount * Math.min(1, safeLimit / Math.max(1, encoded.text.length));
-          const betterCandidate = enforcePrefixTruncation
-            ? (
-              !bestOverflow ||
-              overflowRetainedEndTicks > bestOverflow.retainedEndTicks + 1e-9 ||
-              (
-                Math.abs(overflowRetainedEndTicks - bestOverflow.retainedEndTicks) <= 1e-9 &&
-                (
-                  overflowTruncation.noteEventCount > bestOverflow.retainedNoteEventCount + 1e-9 ||
-                  (
-                    Math.abs(overflowTruncation.noteEventCount - bestOverflow.retainedNoteEventCount) <= 1e-9 &&
-                    (
-                      overflowScore > bestOverflow.score + 1e-9 ||
-                      (
-                        Math.abs(overflowScore - bestOverflow.score) <= 1e-9 &&
-                        encoded.text.length < bestOverflow.encoded.text.length
-                      )
-                    )
-                  )
-                )
-              )
-            )
-            : (
-              !bestOverflow ||
-              projectedNotes > bestOverflow.projectedNotes + 0.5 ||
-              (
-                Math.abs(projectedNotes - bestOverflow.projectedNotes) <= 0.5 &&
-                noteEventCount > bestOverflow.noteEventCount + 1
-              ) ||
-              overflowScore > bestOverflow.score + 1e-9 ||
-              (Math.abs(overflowScore - bestOverflow.score) <= 1e-9 && encoded.text.length < bestOverflow.encoded.text.length)
-            );
-          if (betterCandidate) {
-            bestOverflow = {
-              ...candidate,
-              projectedNotes,
-              score: overflowScore,
-              retainedEndTicks: overflowRetainedEndTicks,
-              retainedNoteEventCount: overflowTruncation ? overflowTruncation.noteEventCount : 0,
-            };
-          }
-        }
+    if (passIndex === 0) {
+      const phraseCandidate = buildPhraseCandidate({
+        notes,
+        mode,
+        ppq,
+        endTicks: Math.max(forcedEndTicks, getNotesEndTicks(notes)),
+        safeLimit,
+        stepCandidates,
+        preferMonophonicFlow,
+        keepTrailingRests,
+        referenceSequence,
+        referenceStepTicks,
+        encodeOptions: {
+          tempo,
+          volume,
+          includeTempo,
+          tempoChanges,
+          volumeChanges,
+          commands: profile.commands,
+          octaveRange: profile.octave,
+        },
+      });
+      if (phraseCandidate) {
+        considerCandidate({
+          encoded: phraseCandidate.encoded,
+          fidelity: evaluateSequenceFidelity(referenceSequence, referenceStepTicks, phraseCandidate.sequence, referenceStepTicks),
+          earlyFidelity: evaluateSequenceFidelityWithinTicks(
+            referenceSequence,
+            referenceStepTicks,
+            phraseCandidate.sequence,
+            referenceStepTicks,
+            frontPriorityTicks,
+          ),
+          simplifyLevel: 0,
+          stepsPerQuarter: phraseCandidate.stepsPerQuarter,
+          stepTicks: 1,
+          noteEventCount: phraseCandidate.noteEventCount,
+          phraseGrids: phraseCandidate.encoded.phraseGrids,
+        });
       }
     }
 
@@ -1323,11 +2492,15 @@ function buildPartText(config) {
         return {
           text: bestWithinLimit.encoded.text,
           noteEventCount: bestWithinLimit.noteEventCount,
-          retainedEndTicks: retainedSteps * (ppq / bestWithinLimit.stepsPerQuarter),
+          retainedEndTicks: retainedSteps * bestWithinLimit.stepTicks,
           truncated: false,
           tokens: (bestWithinLimit.encoded.tokens || []).slice(),
           tokenSteps: (bestWithinLimit.encoded.tokenSteps || []).slice(),
-          stepTicks: ppq / bestWithinLimit.stepsPerQuarter,
+          stepTicks: bestWithinLimit.stepTicks,
+          savedChars: bestWithinLimit.encoded.savedChars || 0,
+          phraseGrids: bestWithinLimit.phraseGrids,
+          fidelity: toReportedScore(bestWithinLimit.fidelity, perfectFidelity),
+          earlyFidelity: toReportedScore(bestWithinLimit.earlyFidelity, perfectEarlyFidelity),
         };
       }
       return bestWithinLimit.encoded.text;
@@ -1341,18 +2514,29 @@ function buildPartText(config) {
       return {
         text: lowPriorityWithin.encoded.text,
         noteEventCount: lowPriorityWithin.noteEventCount,
-        retainedEndTicks: retainedSteps * (ppq / lowPriorityWithin.stepsPerQuarter),
+        retainedEndTicks: retainedSteps * lowPriorityWithin.stepTicks,
         truncated: false,
         tokens: (lowPriorityWithin.encoded.tokens || []).slice(),
         tokenSteps: (lowPriorityWithin.encoded.tokenSteps || []).slice(),
-        stepTicks: ppq / lowPriorityWithin.stepsPerQuarter,
+        stepTicks: lowPriorityWithin.stepTicks,
+        savedChars: lowPriorityWithin.encoded.savedChars || 0,
+        phraseGrids: lowPriorityWithin.phraseGrids,
+        fidelity: toReportedScore(lowPriorityWithin.fidelity, perfectFidelity),
+        earlyFidelity: toReportedScore(lowPriorityWithin.earlyFidelity, perfectEarlyFidelity),
       };
     }
     return lowPriorityWithin.encoded.text;
   }
 
   if (!bestOverflow) {
-    const fallback = `${includeTempo ? `t${tempo}` : ""}v${volume}o4l4r1`;
+    const fallback = encodeRuns([{ value: null, start: 0, end: 4, length: 4 }], {
+      tempo,
+      volume,
+      includeTempo,
+      baseLength: 4,
+      commands: profile.commands,
+      octaveRange: profile.octave,
+    }).text;
     const text = fallback.slice(0, safeLimit);
     if (returnMeta) {
       return {
@@ -1363,6 +2547,10 @@ function buildPartText(config) {
         tokens: [],
         tokenSteps: [],
         stepTicks: 0,
+        savedChars: 0,
+        phraseGrids: [],
+        fidelity: null,
+        earlyFidelity: null,
       };
     }
     return text;
@@ -1378,30 +2566,101 @@ function buildPartText(config) {
     return {
       text: overflowText,
       noteEventCount: overflowTruncation.noteEventCount,
-      retainedEndTicks: overflowTruncation.retainedSteps * (ppq / bestOverflow.stepsPerQuarter),
+      retainedEndTicks: overflowTruncation.retainedSteps * bestOverflow.stepTicks,
       truncated: overflowTruncation.truncated,
       tokens: (bestOverflow.encoded.tokens || []).slice(),
       tokenSteps: (bestOverflow.encoded.tokenSteps || []).slice(),
-      stepTicks: ppq / bestOverflow.stepsPerQuarter,
+      stepTicks: bestOverflow.stepTicks,
+      savedChars: bestOverflow.encoded.savedChars || 0,
+      phraseGrids: bestOverflow.phraseGrids,
+      fidelity: toReportedScore(bestOverflow.fidelity, perfectFidelity),
+      earlyFidelity: toReportedScore(bestOverflow.earlyFidelity, perfectEarlyFidelity),
     };
   }
 
   return overflowText;
 }
 
+function measurePartReach(config) {
+  const { notes, mode, limit, ppq, targetDurationTicks, encodeOptions } = config;
+  const forcedEndTicks = Number.isFinite(targetDurationTicks) && targetDurationTicks > 0 ? targetDurationTicks : 0;
+  const keepTrailingRests = forcedEndTicks > 0;
+  const preferMonophonicFlow = computeNotesOverlapRatio(notes) <= 0.35;
+  const stepCandidates = listStepCandidates(mode, true);
+
+  const reachOf = (encoded, stepTicks) => {
+    if (encoded.text.length <= limit) {
+      return Infinity;
+    }
+    return truncateTokensWithStats(encoded.tokens, encoded.tokenSteps, limit).retainedSteps * stepTicks;
+  };
+
+  let bestReach = 0;
+  for (const stepsPerQuarter of stepCandidates) {
+    const stepTicks = ppq / stepsPerQuarter;
+    const baseLength = 4 * stepsPerQuarter;
+    const runVariants = [];
+    const baseSequence = preferMonophonicFlow
+      ? buildMonophonicSequence(notes, stepTicks, forcedEndTicks)
+      : buildStepSequence(notes, stepTicks, mode, forcedEndTicks);
+    if (preferMonophonicFlow) {
+      runVariants.push(buildMonophonicRunsFromNotes(notes, stepTicks, forcedEndTicks, keepTrailingRests));
+    }
+    for (const simplifyLevel of preferMonophonicFlow ? [1, 2, 3] : [0, 1, 2, 3]) {
+      const sequence = simplifySequence(baseSequence, mode, simplifyLevel);
+      runVariants.push(normalizeRuns(sequenceToRuns(sequence), baseLength, keepTrailingRests));
+    }
+    for (const runs of runVariants) {
+      bestReach = Math.max(bestReach, reachOf(encodeRuns(runs, { ...encodeOptions, baseLength, stepTicks }), stepTicks));
+      if (bestReach === Infinity) {
+        return Infinity;
+      }
+    }
+  }
+
+  // The cheapest grid per phrase can outlast every uniform grid when busy and quiet sections alternate.
+  const endTicks = Math.max(forcedEndTicks, getNotesEndTicks(notes));
+  const ranges = splitPhraseRanges(notes, endTicks, ppq);
+  if (ranges.length >= 2) {
+    const referenceStepTicks = ppq / 96;
+    const context = {
+      mode,
+      ppq,
+      stepCandidates,
+      preferMonophonicFlow,
+      keepTrailingRests,
+      referenceSequence: preferMonophonicFlow
+        ? buildMonophonicSequence(notes, referenceStepTicks, forcedEndTicks)
+        : buildStepSequence(notes, referenceStepTicks, mode, forcedEndTicks),
+      referenceStepTicks,
+      encodeOptions,
+    };
+    const phrases = ranges.map((range, index) => ({
+      ...range,
+      isLast: index === ranges.length - 1,
+      notes: sliceNotesByRange(notes, range.startTicks, range.endTicks),
+    }));
+    const cheapest = phrases.map((phrase) => buildPhraseGridOptions(phrase, context)[0]);
+    bestReach = Math.max(bestReach, reachOf(encodePhraseChoices(phrases, cheapest, encodeOptions), 1));
+  }
+
+  return bestReach;
+}
+
 function alignPartsToTruncationCutoff(partMetaMap, limits) {
   const safeMap = partMetaMap || {};
+  const roles = Object.keys(safeMap);
   const truncatedCutoffs = Object.values(safeMap)
     .filter((meta) => meta && meta.truncated)
     .map((meta) => meta.retainedEndTicks)
     .filter((tick) => Number.isFinite(tick) && tick > 0);
 
   if (truncatedCutoffs.length === 0) {
-    return {
-      melody: safeMap.melody && safeMap.melody.text ? safeMap.melody.text : "",
-      chord1: safeMap.chord1 && safeMap.chord1.text ? safeMap.chord1.text : "",
-      chord2: safeMap.chord2 && safeMap.chord2.text ? safeMap.chord2.text : "",
-    };
+    const texts = {};
+    for (const role of roles) {
+      texts[role] = safeMap[role] && safeMap[role].text ? safeMap[role].text : "";
+    }
+    return texts;
   }
 
   const cutoffTicks = Math.max(1, Math.floor(Math.min(...truncatedCutoffs)));
@@ -1416,22 +2675,39 @@ function alignPartsToTruncationCutoff(partMetaMap, limits) {
     return clipped && clipped.length > 0 ? clipped : (meta.text || "");
   };
 
-  return {
-    melody: clipByCutoff(safeMap.melody, limits.melody),
-    chord1: clipByCutoff(safeMap.chord1, limits.chord1),
-    chord2: clipByCutoff(safeMap.chord2, limits.chord2),
-  };
+  const clipped = {};
+  for (const role of roles) {
+    clipped[role] = clipByCutoff(safeMap[role], limits[role]);
+  }
+  return clipped;
+}
+
+function renderScore(parts, profile = DEFAULT_PROFILE) {
+  return profile.parts
+    .flatMap((part) => {
+      const text = parts[part.role] || "";
+      return [`${part.label}: ${text.length}`, text];
+    })
+    .join("\n");
+}
+
+function renderMmlLine(parts, profile = DEFAULT_PROFILE) {
+  return `MML@${profile.parts.map((part) => parts[part.role] || "").join(",")};`;
 }
 
-function renderScore(parts) {
-  return [
-    `主音Melody: ${parts.melody.length}`,
-    parts.melody,
-    `和弦Chord1: ${parts.chord1.length}`,
-    parts.chord1,
-    `和弦Chord2: ${parts.chord2.length}`,
-    parts.chord2,
-  ].join("\n");
+function renderMetaLine(metadata, players, splitMode) {
+  const bpmPart = Number.isFinite(metadata.bpm) ? ` bpm=${Math.round(metadata.bpm)}` : "";
+  const profilePart = isDefaultProfile(metadata.profile) ? "" : ` profile=${metadata.profile.name}`;
+  const partLayout = metadata.profile ? formatPartLayout(metadata.profile) : "";
+  const layoutPart = partLayout ? ` parts=${partLayout}` : "";
+  const transposition = metadata.transposition;
+  const keyPart = transposition
+    ? ` origKey=${transposition.originalKey || "-"} key=${transposition.key || "-"} transpose=${transposition.transpose}`
+    : "";
+  const drumsPart = metadata.drums ? ` drums=${metadata.drums}` : "";
+  const instrumentMeta = formatInstrumentMeta(metadata.instruments);
+  const instrumentsPart = instrumentMeta ? ` instruments=${instrumentMeta}` : "";
+  return `#META totalTicks=${metadata.totalTicks} ppq=${metadata.ppq} players=${players} split=${splitMode}${bpmPart}${profilePart}${layoutPart}${keyPart}${drumsPart}${instrumentsPart}`;
 }
 
 function getNotesEndTicks(notes) {
@@ -1785,6 +3061,185 @@ function rebalanceHighNotes(melodyNotes, chord1Notes, chord2Notes) {
   };
 }
 
+function findFoldTarget(note, range, occupied) {
+  const end = note.ticks + note.durationTicks;
+  const candidates = [];
+  for (let midi = range.min + ((((note.midi - range.min) % 12) + 12) % 12); midi <= range.max; midi += 12) {
+    candidates.push(midi);
+  }
+  candidates.sort((a, b) => Math.abs(a - note.midi) - Math.abs(b - note.midi));
+  return candidates.find((midi) => !(occupied.get(midi) || []).some((other) => (
+    other.ticks < end && other.ticks + other.durationTicks > note.ticks
+  )));
+}
+
+function foldNotesIntoRange(notes, range) {
+  const sorted = sortNotesByTime(notes || []);
+  if (!range || sorted.every((note) => note.midi >= range.min && note.midi <= range.max)) {
+    return { notes: sorted, folds: [] };
+  }
+
+  const occupied = new Map();
+  const occupy = (note) => {
+    if (!occupied.has(note.midi)) {
+      occupied.set(note.midi, []);
+    }
+    occupied.get(note.midi).push(note);
+  };
+  const kept = sorted.filter((note) => note.midi >= range.min && note.midi <= range.max);
+  kept.forEach(occupy);
+
+  // Folded notes never land on a pitch that is already sounding; with no free octave they are dropped.
+  const folds = [];
+  for (const note of sorted) {
+    if (note.midi >= range.min && note.midi <= range.max) {
+      continue;
+    }
+    const target = findFoldTarget(note, range, occupied);
+    folds.push({ ticks: note.ticks, from: note.midi, to: Number.isFinite(target) ? target : null });
+    if (Number.isFinite(target)) {
+      const folded = { ...note, midi: target };
+      kept.push(folded);
+      occupy(folded);
+    }
+  }
+  return { notes: sortNotesByTime(kept), folds };
+}
+
+function foldPartSources(sourcesByRole, profile) {
+  const folded = { ...sourcesByRole };
+  const foldsByRole = {};
+  for (const part of profile.parts) {
+    const result = foldNotesIntoRange(sourcesByRole[part.role], part.range);
+    folded[part.role] = result.notes;
+    foldsByRole[part.role] = result.folds;
+  }
+  return { sourcesByRole: folded, foldsByRole };
+}
+
+function summarizePartResult(meta, text, profile, part, commonEndTicks = null, folds = [], segmentTicks = Infinity) {
+  const tokens = meta && Array.isArray(meta.tokens) ? meta.tokens : [];
+  const tokenSteps = meta && Array.isArray(meta.tokenSteps) ? meta.tokenSteps : [];
+  const stepTicks = meta && Number.isFinite(meta.stepTicks) ? meta.stepTicks : 0;
+  const safeText = typeof text === "string" ? text : "";
+
+  let usedLength = 0;
+  let retainedTokenCount = 0;
+  let retainedSteps = 0;
+  let noteEventCount = 0;
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    if (usedLength + token.length > safeText.length) {
+      break;
+    }
+    usedLength += token.length;
+    retainedTokenCount += 1;
+    retainedSteps += Number.isFinite(tokenSteps[i]) ? tokenSteps[i] : 0;
+    if (isNoteStartToken(token)) {
+      noteEventCount += 1;
+    }
+  }
+
+  const fullLength = tokens.reduce((sum, token) => sum + token.length, 0);
+  const droppedTokens = Boolean(meta && meta.truncated) || retainedTokenCount < tokens.length;
+  const retainedEndTicks = tokens.length > 0 ? retainedSteps * stepTicks : 0;
+  let cutoffTicks = droppedTokens ? retainedEndTicks : null;
+  if (Number.isFinite(commonEndTicks)) {
+    cutoffTicks = Math.min(commonEndTicks, droppedTokens ? retainedEndTicks : commonEndTicks);
+  }
+  if (!droppedTokens && Number.isFinite(cutoffTicks) && cutoffTicks >= segmentTicks) {
+    cutoffTicks = null;
+  }
+  // A part rebuilt only up to the common end keeps all its tokens but still stops before the segment does.
+  const truncated = droppedTokens || Number.isFinite(cutoffTicks);
+  return {
+    text: safeText,
+    length: safeText.length,
+    limit: part.limit,
+    fullLength: tokens.length > 0 ? fullLength : safeText.length,
+    truncated,
+    retainedEndTicks,
+    cutoffTicks,
+    noteEventCount,
+    stepTicks,
+    savedChars: meta && Number.isFinite(meta.savedChars) ? meta.savedChars : 0,
+    phraseGrids: meta && Array.isArray(meta.phraseGrids) ? meta.phraseGrids : [],
+    fidelity: meta && Number.isFinite(meta.fidelity) ? meta.fidelity : null,
+    earlyFidelity: meta && Number.isFinite(meta.earlyFidelity) ? meta.earlyFidelity : null,
+    folds: Number.isFinite(cutoffTicks) ? folds.filter((fold) => fold.ticks < cutoffTicks) : folds,
+    issues: validateMmlPart(safeText, profile, part),
+  };
+}
+
+function resolvePartSources(melodyNotes, chord1Source, chord2Source, roles, rebalance = true) {
+  const rebalanced = rebalance
+    ? rebalanceHighNotes(melodyNotes, chord1Source, chord2Source)
+    : { melody: sortNotesByTime(melodyNotes), chord1: sortNotesByTime(chord1Source), chord2: sortNotesByTime(chord2Source) };
+  return {
+    rebalanced,
+    sourcesByRole: {
+      melody: rebalanced.melody,
+      // Profiles without a Chord2 part fold the bass line into Chord1.
+      chord1: roles.has("chord2")
+        ? rebalanced.chord1
+        : normalizeSameMidiOverlaps(mergeUniqueNotes(rebalanced.chord1, rebalanced.chord2)),
+      chord2: rebalanced.chord2,
+    },
+  };
+}
+
+function attachDrumNotes(sourcesByRole, drumNotes, roles, drumsInChord2) {
+  if (roles.has("drums")) {
+    return { ...sourcesByRole, drums: drumNotes };
+  }
+  return drumsInChord2 ? { ...sourcesByRole, chord2: drumNotes } : sourcesByRole;
+}
+
+function fitVoicedPartSources(config) {
+  const { voicing, melodyNotes, chord1Source, chord2Source, roles, profile, rebalance } = config;
+  const accompanimentParts = profile.parts.filter((part) => roles.has(part.role) && (part.role === "chord1" || part.role === "chord2"));
+
+  // Thin each accompaniment part's pattern on its own until it fits without truncation.
+  const generatedByLevel = Array.from({ length: VOICING_LEVEL_COUNT }, (_, level) => (
+    generateVoicing(voicing.chords, { ...voicing.meter, ...voicing, level })
+  ));
+  const levels = { chord1: 0, chord2: 0 };
+  let sources = null;
+  // Every pass but the last raises at least one part by a level, so the levels bound the number of passes.
+  const maxPasses = accompanimentParts.length * (VOICING_LEVEL_COUNT - 1) + 1;
+  for (let pass = 0; pass < maxPasses; pass += 1) {
+    sources = resolvePartSources(
+      melodyNotes,
+      applyVoicing(chord1Source, generatedByLevel[levels.chord1].chord1, voicing.chords, voicing.mode, voicing.startTicks),
+      applyVoicing(chord2Source, generatedByLevel[levels.chord2].chord2, voicing.chords, voicing.mode, voicing.startTicks),
+      roles,
+      rebalance,
+    );
+    const overflowing = accompanimentParts.filter((part) => levels[part.role] < VOICING_LEVEL_COUNT - 1
+      && buildPartText({
+        notes: sources.sourcesByRole[part.role],
+        mode: part.role,
+        limit: part.limit,
+        tempo: config.tempo,
+        volume: 12,
+        includeTempo: true,
+        tempoChanges: config.tempoChanges,
+        ppq: config.ppq,
+        compress: config.compress,
+        targetDurationTicks: config.targetDurationTicks,
+        returnMeta: true,
+        profile,
+      }).truncated);
+    if (overflowing.length === 0) {
+      break;
+    }
+    for (const part of overflowing) {
+      levels[part.role] += 1;
+    }
+  }
+  return sources;
+}
+
 function buildScoreParts(config) {
   const {
     melodyNotes,
@@ -1796,127 +3251,131 @@ function buildScoreParts(config) {
     compress,
     targetDurationTicks,
     strictPrefixTruncation,
+    returnMeta,
   } = config;
+  const profile = config.profile || DEFAULT_PROFILE;
+  const tempoChanges = config.tempoChanges || [];
+  const roles = new Set(profile.parts.map((part) => part.role));
+  // Parts picked by the user keep their own notes instead of trading the highest ones with the melody.
+  const rebalance = config.rebalance !== false;
+  // Chord2 is played on channel 10 when it carries the drums, so its pitched notes move to Chord1 as in profiles
+  // without a Chord2 part.
+  const drumsInChord2 = Boolean(config.drumsInChord2) && roles.has("chord2") && !roles.has("drums");
+  const pitchedRoles = drumsInChord2 ? new Set(Array.from(roles).filter((role) => role !== "chord2")) : roles;
 
   const chord1Source = chord1Notes && chord1Notes.length > 0 ? chord1Notes : chordPoolNotes;
   const chord2Source = chord2Notes && chord2Notes.length > 0 ? chord2Notes : chordPoolNotes;
-  const rebalanced = rebalanceHighNotes(melodyNotes, chord1Source, chord2Source);
-  const melodySource = rebalanced.melody;
-  const chord1Balanced = rebalanced.chord1;
-  const chord2Balanced = rebalanced.chord2;
-
-  const melodyVolume = mapVolume(averageVelocity(melodySource, 0.7));
-  const chordVolume = mapVolume(averageVelocity(chord1Balanced, 0.65));
-  const bassVolume = clamp(chordVolume + 1, 6, 15);
-  const shouldUseCompressCutoff = Boolean(compress);
-  const effectiveStrictPrefix = Boolean(strictPrefixTruncation);
-
-  if (!shouldUseCompressCutoff) {
-    const melody = buildPartText({
-      notes: melodySource,
-      mode: "melody",
-      limit: LIMITS.melody,
+  const resolved = config.voicing
+    ? fitVoicedPartSources({
+      voicing: config.voicing,
+      melodyNotes,
+      chord1Source,
+      chord2Source,
+      roles: pitchedRoles,
+      profile,
       tempo,
-      volume: melodyVolume,
-      includeTempo: true,
+      tempoChanges,
       ppq,
       compress,
       targetDurationTicks,
-      strictPrefix: strictPrefixTruncation,
-    });
+      rebalance,
+    })
+    : resolvePartSources(melodyNotes, chord1Source, chord2Source, pitchedRoles, rebalance);
+  const { rebalanced } = resolved;
+  const drumNotes = config.drumNotes || [];
+  const { sourcesByRole, foldsByRole } = foldPartSources(
+    attachDrumNotes(resolved.sourcesByRole, drumNotes, roles, drumsInChord2),
+    profile,
+  );
 
-    const chord1 = buildPartText({
-      notes: chord1Balanced,
-      mode: "chord1",
-      limit: LIMITS.chord1,
-      tempo,
-      volume: chordVolume,
-      includeTempo: true,
+  const melodyVolume = mapVolume(averageVelocity(rebalanced.melody, 0.7), profile.volume);
+  const chordVolume = mapVolume(averageVelocity(rebalanced.chord1, 0.65), profile.volume);
+  const drumVolume = mapVolume(averageVelocity(drumNotes, 0.7), profile.volume);
+  const volumeByRole = {
+    melody: melodyVolume,
+    chord1: chordVolume,
+    chord2: drumsInChord2 ? drumVolume : clamp(chordVolume + 1, getVolumeFloor(profile.volume), profile.volume.max),
+    drums: drumVolume,
+  };
+  const dynamicsByRole = {};
+  for (const part of profile.parts) {
+    dynamicsByRole[part.role] = config.dynamics === false
+      ? [{ ticks: 0, volume: volumeByRole[part.role] }]
+      : planDynamics(sourcesByRole[part.role], volumeByRole[part.role], profile.volume, ppq * 4);
+  }
+  const shouldUseCompressCutoff = Boolean(compress);
+  const segmentTicks = config.segmentTicks
+    || targetDurationTicks
+    || Math.max(0, ...Object.values(sourcesByRole).map((notes) => getNotesEndTicks(notes)));
+
+  // Joint allocation: every part can reach at least the slowest part's best reach (coarser grids and simplified
+  // rhythm included), so all parts are rebuilt up to that common end and spend their whole budget on detail before it.
+  let commonEndTicks = null;
+  if (shouldUseCompressCutoff) {
+    const reaches = profile.parts.map((part) => measurePartReach({
+      notes: sourcesByRole[part.role],
+      mode: part.role,
+      limit: part.limit,
       ppq,
-      compress,
       targetDurationTicks,
-      strictPrefix: strictPrefixTruncation,
-    });
+      encodeOptions: {
+        tempo,
+        volume: dynamicsByRole[part.role][0].volume,
+        includeTempo: true,
+        tempoChanges,
+        volumeChanges: dynamicsByRole[part.role].slice(1),
+        commands: profile.commands,
+        octaveRange: profile.octave,
+      },
+    }));
+    const reach = Math.floor(Math.min(...reaches));
+    if (Number.isFinite(reach) && reach > 0) {
+      commonEndTicks = reach;
+    }
+  }
 
-    const chord2 = buildPartText({
-      notes: chord2Balanced,
-      mode: "chord2",
-      limit: LIMITS.chord2,
+  const metaByRole = {};
+  for (const part of profile.parts) {
+    metaByRole[part.role] = buildPartText({
+      notes: commonEndTicks ? sliceNotesByRange(sourcesByRole[part.role], 0, commonEndTicks) : sourcesByRole[part.role],
+      mode: part.role,
+      limit: part.limit,
       tempo,
-      volume: bassVolume,
+      volume: dynamicsByRole[part.role][0].volume,
       includeTempo: true,
+      tempoChanges: commonEndTicks ? sliceTickEvents(tempoChanges, 0, commonEndTicks) : tempoChanges,
+      volumeChanges: sliceTickEvents(dynamicsByRole[part.role].slice(1), 0, commonEndTicks || Infinity),
       ppq,
       compress,
-      targetDurationTicks,
-      strictPrefix: strictPrefixTruncation,
+      targetDurationTicks: commonEndTicks || targetDurationTicks,
+      strictPrefix: Boolean(strictPrefixTruncation),
+      returnMeta: true,
+      profile,
     });
-
-    return {
-      melody,
-      chord1,
-      chord2,
-    };
   }
 
-  const melodyMeta = buildPartText({
-    notes: melodySource,
-    mode: "melody",
-    limit: LIMITS.melody,
-    tempo,
-    volume: melodyVolume,
-    includeTempo: true,
-    ppq,
-    compress,
-    targetDurationTicks,
-    strictPrefix: effectiveStrictPrefix,
-    returnMeta: true,
-  });
-
-  const chord1Meta = buildPartText({
-    notes: chord1Balanced,
-    mode: "chord1",
-    limit: LIMITS.chord1,
-    tempo,
-    volume: chordVolume,
-    includeTempo: true,
-    ppq,
-    compress,
-    targetDurationTicks,
-    strictPrefix: effectiveStrictPrefix,
-    returnMeta: true,
-  });
-
-  const chord2Meta = buildPartText({
-    notes: chord2Balanced,
-    mode: "chord2",
-    limit: LIMITS.chord2,
-    tempo,
-    volume: bassVolume,
-    includeTempo: true,
-    ppq,
-    compress,
-    targetDurationTicks,
-    strictPrefix: effectiveStrictPrefix,
-    returnMeta: true,
-  });
-
-  const aligned = alignPartsToTruncationCutoff({
-    melody: melodyMeta,
-    chord1: chord1Meta,
-    chord2: chord2Meta,
-  }, LIMITS);
-
-  return {
-    melody: aligned.melody || melodyMeta.text,
-    chord1: aligned.chord1 || chord1Meta.text,
-    chord2: aligned.chord2 || chord2Meta.text,
-  };
+  const aligned = shouldUseCompressCutoff
+    ? alignPartsToTruncationCutoff(metaByRole, getProfileLimits(profile))
+    : {};
+
+  const parts = {};
+  for (const part of profile.parts) {
+    const meta = metaByRole[part.role];
+    const text = aligned[part.role] || meta.text;
+    parts[part.role] = returnMeta
+      ? {
+        ...summarizePartResult(meta, text, profile, part, commonEndTicks, foldsByRole[part.role], segmentTicks),
+        sourceNotes: sourcesByRole[part.role],
+      }
+      : text;
+  }
+  return parts;
 }
 
 function renderEnsembleScores(scoreList, ranges, metadata) {
   const splitMode = metadata.splitMode || "sequential";
-  const bpmPart = Number.isFinite(metadata.bpm) ? ` bpm=${Math.round(metadata.bpm)}` : "";
-  const head = `#META totalTicks=${metadata.totalTicks} ppq=${metadata.ppq} players=${scoreList.length} split=${splitMode}${bpmPart}`;
+  const profile = metadata.profile || DEFAULT_PROFILE;
+  const head = renderMetaLine(metadata, scoreList.length, splitMode);
   const bodies = scoreList
     .map((parts, index) => {
       const range = ranges[index] || { start: 0, end: 0 };
@@ -1924,8 +3383,8 @@ function renderEnsembleScores(scoreList, ranges, metadata) {
       return [
         `合奏${index + 1}`,
         `段長Ticks: ${segmentTicks}`,
-        renderScore(parts),
-        `MML@${parts.melody},${parts.chord1},${parts.chord2};`,
+        renderScore(parts, profile),
+        renderMmlLine(parts, profile),
       ].join("\n");
     })
     .join("\n\n");
@@ -2019,13 +3478,18 @@ function distributeVoicesAcrossEnsemble(voices, players, options = {}) {
       ppq: Number.isFinite(options.ppq) ? options.ppq : 480,
       compress: options.compress !== false,
       targetDurationTicks: Number.isFinite(options.targetDurationTicks) ? options.targetDurationTicks : 0,
+      profile: options.profile || DEFAULT_PROFILE,
+    };
+    const evaluationLimits = {
+      ...LIMITS,
+      ...getProfileLimits(evaluationContext.profile),
     };
 
     const evaluated = remainingVoices.map((voice, index) => {
       const chord1Meta = buildPartText({
         notes: voice.notes,
         mode: "chord1",
-        limit: LIMITS.chord1,
+        limit: evaluationLimits.chord1,
         tempo: evaluationContext.tempo,
         volume: 12,
         includeTempo: false,
@@ -2033,12 +3497,13 @@ function distributeVoicesAcrossEnsemble(voices, players, options = {}) {
         compress: evaluationContext.compress,
         targetDurationTicks: evaluationContext.targetDurationTicks,
         returnMeta: true,
+        profile: evaluationContext.profile,
       });
 
       const chord2Meta = buildPartText({
         notes: voice.notes,
         mode: "chord2",
-        limit: LIMITS.chord2,
+        limit: evaluationLimits.chord2,
         tempo: evaluationContext.tempo,
         volume: 12,
         includeTempo: false,
@@ -2046,6 +3511,7 @@ function distributeVoicesAcrossEnsemble(voices, players, options = {}) {
         compress: evaluationContext.compress,
         targetDurationTicks: evaluationContext.targetDurationTicks,
         returnMeta: true,
+        profile: evaluationContext.profile,
       });
 
       const chord1Loss = Math.max(0, voice.noteCount - Math.max(0, chord1Meta.noteEventCount || 0));
@@ -2252,6 +3718,7 @@ function distributePooledNotesAcrossEnsemble(notes, players, options = {}) {
       ppq: Number.isFinite(options.ppq) ? options.ppq : 480,
       compress: options.compress !== false,
       targetDurationTicks: Number.isFinite(options.targetDurationTicks) ? options.targetDurationTicks : 0,
+      profile: options.profile,
     });
     const hasDistributedMaterial = [distributed.melodyByPlayer, distributed.chord1ByPlayer, distributed.chord2ByPlayer]
       .every((group) => Array.isArray(group) && group.some((notesByPlayer) => Array.isArray(notesByPlayer) && notesByPlayer.length > 0));
@@ -2273,40 +3740,208 @@ function distributePooledNotesAcrossEnsemble(notes, players, options = {}) {
   };
 }
 
-function convertMidiToScore(midiPath, options = {}) {
+// With part hints each role keeps its own source parts and only splits them across the players.
+function distributeTrackGroupsAcrossEnsemble(groups, players) {
+  const poolNotes = mergeTrackNotes(groups.chordPoolTracks);
+  const byPlayer = (tracks) => distributeNotesAcrossPlayers(tracks.length > 0 ? mergeTrackNotes(tracks) : poolNotes, players);
+  const result = {
+    melodyByPlayer: byPlayer(groups.melodyTracks),
+    chord1ByPlayer: byPlayer(groups.chord1Tracks),
+    chord2ByPlayer: byPlayer(groups.chord2Tracks),
+  };
+  if (groups.chord1Tracks.length === 0 && groups.chord2Tracks.length === 0) {
+    // Both accompaniment parts come from the remaining parts: the higher voices go to Chord1, the lower to Chord2.
+    const averagePitch = (notes) => notes.reduce((sum, note) => sum + note.midi, 0) / Math.max(1, notes.length);
+    const voices = distributeNotesAcrossPlayers(poolNotes, players * 2)
+      .sort((a, b) => averagePitch(b) - averagePitch(a));
+    result.chord1ByPlayer = voices.slice(0, players);
+    result.chord2ByPlayer = voices.slice(players);
+  }
+  return result;
+}
+
+function createMidiFromNoteTracks(noteTracks, options = {}) {
+  const ppq = Number.isFinite(options.ppq) && options.ppq > 0 ? Math.round(options.ppq) : 480;
+  const bpm = Number.isFinite(options.bpm) && options.bpm > 0 ? options.bpm : 120;
+  const list = Array.isArray(noteTracks) ? noteTracks : [];
+  const isTrackList = list.length > 0 && list.every((item) => Array.isArray(item) || (item && Array.isArray(item.notes)));
+  const tracks = (isTrackList ? list : [list]).map((item) => {
+    const notes = Array.isArray(item) ? item : item.notes;
+    const percussion = Boolean(item && !Array.isArray(item) && item.percussion);
+    return {
+      notes: notes.map((note) => ({
+        midi: Math.round(note.midi),
+        ticks: Math.max(0, Math.round(note.ticks)),
+        durationTicks: Math.max(1, Math.round(note.durationTicks || 0)),
+        velocity: Number.isFinite(note.velocity) ? note.velocity : 0.7,
+      })),
+      instrument: { percussion },
+      channel: percussion ? 9 : 0,
+    };
+  });
+
+  return {
+    header: {
+      ppq,
+      tempos: [{ ticks: 0, bpm }],
+    },
+    tracks,
+  };
+}
+
+function loadMidiSource(source, options = {}) {
+  if (typeof source === "string") {
+    return new Midi(fs.readFileSync(source));
+  }
+  if (Buffer.isBuffer(source) || source instanceof Uint8Array || source instanceof ArrayBuffer) {
+    return new Midi(source);
+  }
+  if (source instanceof Midi) {
+    return source;
+  }
+  if (Array.isArray(source)) {
+    return createMidiFromNoteTracks(source, options);
+  }
+  throw new Error("不支援的輸入來源：請提供 MIDI 路徑、Buffer 或音符陣列。");
+}
+
+/**
+ * Library entry point: converts a MIDI source into structured per-player results.
+ *
+ * @param {string|Buffer|Uint8Array|ArrayBuffer|Midi|Array} source MIDI file path, raw MIDI bytes,
+ *   a parsed `Midi`, or notes (`{ midi, ticks, durationTicks, velocity }`) as a flat list or one list per track.
+ * @param {object} [options]
+ * @param {boolean} [options.compress=false] Adaptive compression with shared truncation cutoff.
+ * @param {number} [options.players=1] Number of ensemble sheets.
+ * @param {"parallel"|"sequential"} [options.splitMode="parallel"] Ensemble split mode.
+ * @param {number} [options.bpm] Output BPM override; also the tempo used for note-list input.
+ * @param {number} [options.ppq=480] Ticks per quarter for note-list input.
+ * @param {string|object} [options.profile="default"] MML dialect profile name, JSON path or profile object.
+ * @param {boolean} [options.chordChart=false] Append the detected chord chart to `text`.
+ * @param {boolean} [options.diagnostics=false] Append the octave-fold diagnostics block to `text`.
+ * @param {"beat"|"bar"} [options.chordResolution="beat"] Chord detection window.
+ * @param {boolean} [options.leadSheet=false] Also render a plain-text lead sheet into `leadSheet`.
+ * @param {string} [options.title] Lead sheet title.
+ * @param {"block"|"arpeggio"|"alberti"|"root-fifth"|"broken"} [options.voicing] Generate Chord1/Chord2 from the
+ *   detected chords instead of taking them from the source accompaniment.
+ * @param {"replace"|"fill"} [options.voicingMode="replace"] `fill` only adds generated notes where the source is silent.
+ * @param {"auto"|number} [options.transpose] Semitone shift, or `auto` to pick the shift whose encoded parts keep the
+ *   most notes in range and reach furthest (0 unless another shift is strictly better). When set, `#META` records
+ *   `origKey`, `key` and `transpose`.
+ * @param {Object<string, {min: number, max: number}>} [options.ranges] Per-role MIDI pitch ranges overriding the
+ *   profile's part ranges; notes outside are folded by octaves.
+ * @param {boolean} [options.dynamics=true] Follow velocity changes with bar-level `v` commands; false writes one
+ *   volume per part.
+ * @param {Object<string, string|number|Array<string|number>>} [options.partHints] Source parts per role
+ *   (`melody`/`chord1`/`chord2`) by part name, MusicXML part id or 0-based track index, replacing the guessed
+ *   assignment for that role in single and ensemble modes.
+ * @param {Object<string, string>} [options.instruments] In-game instrument name per role (see `instruments.js`),
+ *   recorded as `#META instruments=` so `result-to-mid` plays each part with the matching GM program.
+ * @param {"part"|"chord2"} [options.drums] Keep percussion tracks as an extra `drums` part or play them in Chord2,
+ *   whose pitched notes then move to Chord1; `#META` records `drums=<mode>` so `result-to-mid` plays that part on
+ *   channel 10.
+ * @param {string|Object<string, number|null>} [options.drumMap] Drum map JSON path or table (GM key -> pitch) merged
+ *   over the default GM map.
+ * @returns {{ totalTicks: number, ppq: number, bpm: number, tempoChanges: Array<object>, split: string, profile: string,
+ *   key: object|null, drums: string|null, instruments: object, chords: Array<object>, leadSheet: string|null, players: Array<object>,
+ *   text: string }}
+ *   `bpm` is the opening tempo and `tempoChanges` the later `{ ticks, bpm }` changes written as `t` commands into every
+ *   part (empty when `options.bpm` forces one tempo).
+ *   `key` is `{ originalKey, key, transpose }` when `options.transpose` is set, otherwise null.
+ *   `chords` are the spans from `detectChords` (`startTicks`, `endTicks`, `bar`, `beat`, `symbol`, `root`, `quality`,
+ *   `bass`, `inversion`, `confidence`).
+ *   Each player has `index`, `startTicks`, `endTicks`, `segmentTicks`, `commonEndTicks` (segment-relative tick where
+ *   all parts stop), `mml` (the sheet's `MML@...;` line) and `parts` keyed by the profile's part roles (`melody`/`chord1`/`chord2`), where every part carries
+ *   `text`, `length`, `limit`, `fullLength`, `truncated` (true whenever `cutoffTicks` is set), `retainedEndTicks`,
+ *   `cutoffTicks` (null when the part is complete), `noteEventCount`, `stepTicks`, `savedChars`, `phraseGrids`,
+ *   `fidelity`, `earlyFidelity`, `folds`, `issues` and `sourceNotes` (the segment-relative notes the part was
+ *   encoded from, after rebalancing, voicing and folding, before any cutoff). `fidelity`/`earlyFidelity` are the
+ *   `evaluateSequenceFidelity` scores of the chosen encoding against the source (the latter over the opening only),
+ *   before truncation, divided by the score of an exact copy and clamped to 0..1. `phraseGrids` lists
+ *   `{ startTicks, endTicks, stepsPerQuarter }` per phrase; when it has more than one entry, `stepTicks` is 1 and token
+ *   steps are ticks. `folds` lists `{ ticks, from, to }` for each octave-folded note (`to` is null when it was dropped).
+ *   `text` is the rendered `Result.md` content.
+ */
+function convertMidi(source, options = {}) {
   const compress = Boolean(options.compress);
   const players = Math.max(1, Number.parseInt(options.players || 1, 10) || 1);
   const splitMode = options.splitMode === "sequential" ? "sequential" : "parallel";
+  const rangedProfile = withPartRanges(resolveProfileOption(options.profile), options.ranges);
+  const profileHasDrums = rangedProfile.parts.some((part) => part.role === "drums");
+  const drumMode = DRUM_MODES.includes(options.drums) ? options.drums : (profileHasDrums ? "part" : null);
+  const profile = drumMode === "part" ? withDrumPart(rangedProfile) : rangedProfile;
+  if (drumMode === "chord2" && !profile.parts.some((part) => part.role === "chord2")) {
+    throw new Error(`profile ${profile.name} 沒有 Chord2 聲部，無法併入鼓組。`);
+  }
+  const instruments = Object.fromEntries(Object.entries(options.instruments || {})
+    .filter(([role]) => role !== "drums" && profile.parts.some((part) => part.role === role)));
 
-  const buffer = fs.readFileSync(midiPath);
-  const midi = new Midi(buffer);
+  const midi = loadMidiSource(source, options);
 
   const ppq = midi.header.ppq || 480;
-  const forcedBpm = Number.isFinite(options.bpm) ? clamp(Math.round(options.bpm), 30, 300) : null;
-  const tempo = forcedBpm || estimateTempo(midi);
-  const trackStats = collectTrackStats(midi);
-  if (trackStats.length === 0) {
+  const forcedBpm = Number.isFinite(options.bpm) ? clamp(Math.round(options.bpm), profile.tempo.min, profile.tempo.max) : null;
+  const tempo = forcedBpm || estimateTempo(midi, profile.tempo);
+  const tempoChanges = forcedBpm ? [] : readTempoMap(midi, profile.tempo);
+  const sourceTrackStats = collectTrackStats(midi);
+  if (sourceTrackStats.length === 0) {
     throw new Error("MIDI 檔案沒有可用的音符資料。");
   }
 
+  const pitchedSourceTracks = sourceTrackStats.filter((track) => !track.isPercussion);
+  const originalKey = estimateKey(mergeTrackNotes(pitchedSourceTracks));
+  const shouldTranspose = options.transpose === "auto" || Number.isInteger(options.transpose);
+  const transpose = shouldTranspose ? resolveTransposition(midi, profile, options) : 0;
+  const transposition = {
+    originalKey: originalKey ? originalKey.name : null,
+    key: originalKey ? transposeKey(originalKey, transpose).name : null,
+    transpose,
+  };
+  const trackStats = transposeTrackStats(sourceTrackStats, transpose);
+
   const nonPercussionTracks = trackStats.filter((track) => !track.isPercussion);
   const usableTracks = nonPercussionTracks.length > 0 ? nonPercussionTracks : trackStats;
+  const hintedTracks = resolvePartHints(trackStats, options.partHints);
+  const harmony = analyzeHarmony(midi, trackStats, usableTracks, { ...options, bpm: tempo, hintedTracks });
+  const drumNotes = drumMode
+    ? mapDrumNotes(
+      mergeTrackNotes(trackStats.filter((track) => track.isPercussion)),
+      typeof options.drumMap === "string" ? loadDrumMap(options.drumMap) : normalizeDrumMap(options.drumMap),
+      harmony.meter.beatTicks,
+    )
+    : [];
+  // Without percussion notes Chord2 keeps its own notes rather than going silent on channel 10.
+  const drumsInChord2 = drumMode === "chord2" && drumNotes.length > 0;
+  const outputDrumMode = drumMode === "chord2" && !drumsInChord2 ? null : drumMode;
+  const voicingStyle = VOICING_STYLES.includes(options.voicing) ? options.voicing : null;
+  const resolveVoicing = (startTicks, endTicks) => (voicingStyle
+    ? {
+      style: voicingStyle,
+      mode: options.voicingMode === "fill" ? "fill" : "replace",
+      chords: harmony.chords,
+      meter: harmony.meter,
+      startTicks,
+      endTicks,
+    }
+    : null);
 
   if (players > 1 && splitMode === "parallel") {
     const pooledNotes = mergeTrackNotes(usableTracks);
-    const pooledTotalTicks = Math.max(getNotesEndTicks(pooledNotes), 1);
+    const pooledTotalTicks = Math.max(getNotesEndTicks(pooledNotes), getNotesEndTicks(drumNotes), 1);
     const {
       melodyByPlayer,
       chord1ByPlayer,
       chord2ByPlayer,
-    } = distributePooledNotesAcrossEnsemble(pooledNotes, players, {
-      tempo,
-      ppq,
-      compress,
-      targetDurationTicks: pooledTotalTicks,
-    });
+    } = hintedTracks
+      ? distributeTrackGroupsAcrossEnsemble(pickTrackGroups(trackStats, hintedTracks), players)
+      : distributePooledNotesAcrossEnsemble(pooledNotes, players, {
+        tempo,
+        ppq,
+        compress,
+        targetDurationTicks: pooledTotalTicks,
+        profile,
+      });
 
-    const scoreList = Array.from({ length: players }, (_, index) => {
+    const partsList = Array.from({ length: players }, (_, index) => {
       const segmentMelody = melodyByPlayer[index] || [];
       const segmentChord1 = chord1ByPlayer[index] || [];
       const segmentChord2 = chord2ByPlayer[index] || [];
@@ -2316,18 +3951,35 @@ function convertMidiToScore(midiPath, options = {}) {
         chord1Notes: segmentChord1,
         chord2Notes: segmentChord2,
         tempo,
+        tempoChanges,
         ppq,
         compress,
         targetDurationTicks: 0,
+        segmentTicks: pooledTotalTicks,
+        returnMeta: true,
+        profile,
+        dynamics: options.dynamics,
+        // Parallel sheets play together, so only the first one carries the generated accompaniment and drums.
+        voicing: index === 0 ? resolveVoicing(0, pooledTotalTicks) : null,
+        drumNotes: index === 0 ? drumNotes : [],
+        drumsInChord2,
+        rebalance: !hintedTracks,
       });
     });
 
     const ranges = Array.from({ length: players }, () => ({ start: 0, end: pooledTotalTicks }));
-    return renderEnsembleScores(scoreList, ranges, {
+    return buildConversionResult(partsList, ranges, {
       totalTicks: pooledTotalTicks,
       ppq,
       splitMode: "parallel",
       bpm: tempo,
+      tempoChanges,
+      profile,
+      harmony,
+      transposition: shouldTranspose ? transposition : null,
+      drums: outputDrumMode,
+      instruments,
+      diagnostics: options.diagnostics,
     });
   }
 
@@ -2336,7 +3988,7 @@ function convertMidiToScore(midiPath, options = {}) {
     chordPoolTracks,
     chord1Tracks,
     chord2Tracks,
-  } = pickTrackGroups(trackStats);
+  } = pickTrackGroups(trackStats, hintedTracks);
   const melodyNotes = mergeTrackNotes(melodyTracks);
   const chordPoolNotes = mergeTrackNotes(chordPoolTracks);
   const chord1Notes = chord1Tracks && chord1Tracks.length > 0 ? mergeTrackNotes(chord1Tracks) : chordPoolNotes;
@@ -2345,29 +3997,48 @@ function convertMidiToScore(midiPath, options = {}) {
     getNotesEndTicks(melodyNotes),
     getNotesEndTicks(chord1Notes),
     getNotesEndTicks(chord2Notes),
+    getNotesEndTicks(drumNotes),
     1,
   );
 
   if (players <= 1) {
-    const singleScore = buildScoreParts({
+    const singleParts = buildScoreParts({
       melodyNotes,
       chordPoolNotes,
       chord1Notes,
       chord2Notes,
       tempo,
+      tempoChanges,
       ppq,
       compress,
       strictPrefixTruncation: true,
+      segmentTicks: totalTicks,
+      returnMeta: true,
+      profile,
+      voicing: resolveVoicing(0, totalTicks),
+      drumNotes,
+      drumsInChord2,
+      dynamics: options.dynamics,
+      rebalance: !hintedTracks,
+    });
+    return buildConversionResult([singleParts], [{ start: 0, end: totalTicks }], {
+      totalTicks,
+      ppq,
+      splitMode: "single",
+      bpm: tempo,
+      tempoChanges,
+      profile,
+      harmony,
+      transposition: shouldTranspose ? transposition : null,
+      drums: outputDrumMode,
+      instruments,
+      diagnostics: options.diagnostics,
     });
-    return [
-      `#META totalTicks=${totalTicks} ppq=${ppq} players=1 split=single bpm=${tempo}`,
-      renderScore(singleScore),
-    ].join("\n");
   }
 
   const splitReferenceNotes = melodyNotes.concat(chord1Notes, chord2Notes);
   const ranges = splitTickRanges(totalTicks, players, splitReferenceNotes, ppq);
-  const scoreList = ranges.map((range) => {
+  const partsList = ranges.map((range) => {
     const segmentMelody = sliceNotesByRange(melodyNotes, range.start, range.end);
     const segmentChords = sliceNotesByRange(chordPoolNotes, range.start, range.end);
     const segmentChord1 = sliceNotesByRange(chord1Notes, range.start, range.end);
@@ -2378,19 +4049,256 @@ function convertMidiToScore(midiPath, options = {}) {
       chordPoolNotes: segmentChords,
       chord1Notes: segmentChord1,
       chord2Notes: segmentChord2,
-      tempo,
+      // Each segment opens at the tempo in effect where it starts.
+      tempo: tempoAtTick(tempoChanges, tempo, range.start),
+      tempoChanges: sliceTickEvents(tempoChanges, range.start, range.end).filter((change) => change.ticks > 0),
       ppq,
       compress,
       targetDurationTicks: segmentDurationTicks,
+      returnMeta: true,
+      profile,
+      voicing: resolveVoicing(range.start, range.end),
+      drumNotes: sliceNotesByRange(drumNotes, range.start, range.end),
+      drumsInChord2,
+      dynamics: options.dynamics,
+      rebalance: !hintedTracks,
     });
   });
 
-  return renderEnsembleScores(scoreList, ranges, {
+  return buildConversionResult(partsList, ranges, {
     totalTicks,
     ppq,
     splitMode: "sequential",
     bpm: tempo,
+    tempoChanges,
+    profile,
+    harmony,
+    transposition: shouldTranspose ? transposition : null,
+    drums: outputDrumMode,
+    instruments,
+    diagnostics: options.diagnostics,
+  });
+}
+
+function buildConversionResult(partsList, ranges, metadata) {
+  const scoreList = partsList.map((parts) => {
+    const texts = {};
+    for (const role of Object.keys(parts)) {
+      texts[role] = parts[role].text;
+    }
+    return texts;
+  });
+
+  const scoreText = metadata.splitMode === "single"
+    ? [
+      renderMetaLine(metadata, 1, "single"),
+      renderScore(scoreList[0], metadata.profile),
+    ].join("\n")
+    : renderEnsembleScores(scoreList, ranges, metadata);
+  const harmony = metadata.harmony || { chords: [], chart: null, leadSheet: null };
+  const diagnostics = metadata.diagnostics ? renderDiagnostics(partsList, ranges, metadata) : null;
+  const text = [scoreText, harmony.chart, diagnostics].filter(Boolean).join("\n\n");
+
+  return {
+    totalTicks: metadata.totalTicks,
+    ppq: metadata.ppq,
+    bpm: metadata.bpm,
+    tempoChanges: metadata.tempoChanges || [],
+    split: metadata.splitMode,
+    profile: metadata.profile.name,
+    key: metadata.transposition || null,
+    drums: metadata.drums || null,
+    instruments: metadata.instruments || {},
+    chords: harmony.chords,
+    leadSheet: harmony.leadSheet,
+    players: partsList.map((parts, index) => {
+      const range = ranges[index] || { start: 0, end: 0 };
+      const segmentTicks = Math.max(0, range.end - range.start);
+      const cutoffs = Object.values(parts)
+        .map((part) => part.cutoffTicks)
+        .filter((tick) => Number.isFinite(tick));
+      return {
+        index: index + 1,
+        startTicks: range.start,
+        endTicks: range.end,
+        segmentTicks,
+        commonEndTicks: cutoffs.length > 0 ? Math.min(segmentTicks, ...cutoffs) : segmentTicks,
+        mml: renderMmlLine(scoreList[index], metadata.profile),
+        parts,
+      };
+    }),
+    text,
+  };
+}
+
+const RESULT_JSON_VERSION = 1;
+
+function roundScore(value) {
+  return Number.isFinite(value) ? Math.round(value * 10000) / 10000 : null;
+}
+
+/**
+ * Same data as `Result.md` in a fixed schema for tools that should not parse the markdown.
+ * Parts are listed in profile order with their role and label; fidelity scores are rounded to 4 decimals.
+ */
+function buildResultJson(result, profile) {
+  const baseProfile = resolveProfileOption(profile);
+  const labels = {};
+  for (const part of (result.drums === "part" ? withDrumPart(baseProfile) : baseProfile).parts) {
+    labels[part.role] = part.label;
+  }
+  return {
+    version: RESULT_JSON_VERSION,
+    meta: {
+      totalTicks: result.totalTicks,
+      ppq: result.ppq,
+      players: result.players.length,
+      split: result.split,
+      bpm: result.bpm,
+      profile: result.profile,
+      tempoChanges: result.tempoChanges,
+      key: result.key,
+      drums: result.drums,
+      instruments: result.instruments,
+    },
+    chords: result.chords.map((chord) => ({
+      startTicks: chord.startTicks,
+      endTicks: chord.endTicks,
+      bar: chord.bar,
+      beat: chord.beat,
+      symbol: chord.symbol,
+    })),
+    players: result.players.map((player) => ({
+      index: player.index,
+      startTicks: player.startTicks,
+      endTicks: player.endTicks,
+      segmentTicks: player.segmentTicks,
+      commonEndTicks: player.commonEndTicks,
+      mml: player.mml,
+      parts: Object.entries(player.parts).map(([role, part]) => ({
+        role,
+        label: labels[role] || role,
+        text: part.text,
+        length: part.length,
+        limit: part.limit,
+        fullLength: part.fullLength,
+        truncated: part.truncated,
+        retainedEndTicks: part.retainedEndTicks,
+        cutoffTicks: part.cutoffTicks,
+        noteEventCount: part.noteEventCount,
+        stepTicks: part.stepTicks,
+        phraseGrids: part.phraseGrids,
+        fidelity: roundScore(part.fidelity),
+        earlyFidelity: roundScore(part.earlyFidelity),
+        savedChars: part.savedChars,
+        folds: part.folds,
+        issues: part.issues,
+      })),
+    })),
+  };
+}
+
+function formatPitchName(midi) {
+  const info = midiToPitchInfo(midi);
+  return `${info.name}${info.octave}`;
+}
+
+function renderDiagnostics(partsList, ranges, metadata) {
+  const profile = metadata.profile || DEFAULT_PROFILE;
+  const meter = metadata.harmony && metadata.harmony.meter
+    ? metadata.harmony.meter
+    : { beatTicks: metadata.ppq, beatsPerBar: 4 };
+  const barTicks = meter.beatTicks * meter.beatsPerBar;
+
+  const lines = [];
+  partsList.forEach((parts, index) => {
+    const range = ranges[index] || { start: 0, end: 0 };
+    for (const part of profile.parts) {
+      const folds = parts[part.role] && Array.isArray(parts[part.role].folds) ? parts[part.role].folds : [];
+      if (folds.length === 0) {
+        continue;
+      }
+      lines.push(`  合奏${index + 1} ${part.role} 八度摺疊 ${folds.length} 個音（範圍 ${formatPitchName(part.range.min)}..${formatPitchName(part.range.max)}）`);
+      for (const fold of folds) {
+        const tick = range.start + fold.ticks;
+        const bar = Math.floor(tick / barTicks) + 1;
+        const beat = Math.floor((tick % barTicks) / meter.beatTicks) + 1;
+        const target = fold.to === null ? "捨棄（與同音重疊）" : formatPitchName(fold.to);
+        lines.push(`    ${bar}:${beat} tick ${Math.round(tick)} ${formatPitchName(fold.from)} -> ${target}`);
+      }
+    }
+  });
+  return lines.length > 0 ? ["診斷Diagnostics:"].concat(lines).join("\n") : null;
+}
+
+function readMeter(midi) {
+  const ppq = midi.header.ppq || 480;
+  const signature = (midi.header.timeSignatures || [])[0];
+  const [beatsPerBar, beatUnit] = signature && Array.isArray(signature.timeSignature) ? signature.timeSignature : [4, 4];
+  return {
+    ppq,
+    beatsPerBar: Number.isInteger(beatsPerBar) && beatsPerBar > 0 ? beatsPerBar : 4,
+    beatTicks: Number.isInteger(beatUnit) && beatUnit > 0 ? (ppq * 4) / beatUnit : ppq,
+  };
+}
+
+function analyzeHarmony(midi, trackStats, usableTracks, options) {
+  const meter = readMeter(midi);
+  const chords = detectChords(mergeTrackNotes(usableTracks), {
+    ...meter,
+    resolution: options.chordResolution === "bar" ? "bar" : "beat",
   });
+  const leadSheet = options.leadSheet
+    ? renderLeadSheet(chords, mergeTrackNotes(pickTrackGroups(trackStats, options.hintedTracks).melodyTracks), {
+      ...meter,
+      title: options.title || "",
+      bpm: options.bpm,
+    })
+    : null;
+  return {
+    chords,
+    meter,
+    chart: options.chordChart ? renderChordChart(chords, meter) : null,
+    leadSheet,
+  };
+}
+
+function resolveProfileOption(profile) {
+  if (!profile) {
+    return DEFAULT_PROFILE;
+  }
+  if (typeof profile === "string") {
+    return loadProfile(profile);
+  }
+  return normalizeProfile(profile);
+}
+
+function convertMidiToScore(midiPath, options = {}) {
+  return convertMidi(midiPath, options).text;
+}
+
+// `convertMidi` options for parsed command-line arguments; `compare-mid` reuses it to rebuild a conversion.
+function buildConvertOptions(parsed, profile) {
+  return {
+    compress: parsed.compress,
+    players: parsed.players,
+    splitMode: parsed.splitMode,
+    bpm: parsed.bpm,
+    profile,
+    chordChart: parsed.chordChart,
+    diagnostics: parsed.diagnostics,
+    chordResolution: parsed.chordResolution,
+    leadSheet: Boolean(parsed.leadSheet),
+    voicing: parsed.voicing,
+    voicingMode: parsed.voicingMode,
+    transpose: parsed.transpose,
+    ranges: parsed.ranges,
+    instruments: parsed.instruments,
+    partHints: parsed.partHints,
+    drums: parsed.drums,
+    drumMap: parsed.drumMap,
+    dynamics: parsed.dynamics,
+  };
 }
 
 async function main() {
@@ -2416,6 +4324,15 @@ async function main() {
     return;
   }
 
+  let profile;
+  try {
+    profile = loadProfile(parsed.profile);
+  } catch (error) {
+    console.error(error.message);
+    process.exitCode = 1;
+    return;
+  }
+
   let workingInputPath = inputPath;
   let tempMidiPath = null;
 
@@ -2437,6 +4354,10 @@ async function main() {
       const { convertMxlToMidi } = require("./mxl-to-mid.js");
       convertMxlToMidi(inputPath, tempMidiPath, {
         tempo: parsed.bpm || 120,
+        repeats: parsed.repeats,
+        ornamentSpeed: parsed.ornamentSpeed,
+        graceSpeed: parsed.graceSpeed,
+        movement: parsed.movement,
       });
       workingInputPath = tempMidiPath;
     }
@@ -2450,13 +4371,62 @@ async function main() {
   }
 
   let score;
+  let resultJson = null;
   try {
-    score = convertMidiToScore(workingInputPath, {
-      compress: parsed.compress,
-      players: parsed.players,
-      splitMode: parsed.splitMode,
-      bpm: parsed.bpm,
+    const result = convertMidi(workingInputPath, {
+      ...buildConvertOptions(parsed, profile),
+      title: path.basename(inputPath, path.extname(inputPath)),
     });
+    score = result.text;
+    if (parsed.format === "json") {
+      resultJson = `${JSON.stringify(buildResultJson(result, profile), null, 2)}\n`;
+    }
+    if (parsed.leadSheet) {
+      const leadSheetPath = path.resolve(parsed.leadSheet);
+      fs.writeFileSync(leadSheetPath, result.leadSheet, "utf8");
+      console.log(`完成: ${leadSheetPath}`);
+    }
+    if (result.tempoChanges.length > 0) {
+      console.log(`速度變化: ${result.tempoChanges.length} 處 (${result.tempoChanges.map((change) => `t${change.bpm}@${change.ticks}`).join(" ")})`);
+    }
+    if (result.key) {
+      console.log(`調性: ${result.key.originalKey || "-"} -> ${result.key.key || "-"} (移調 ${result.key.transpose})`);
+    }
+    if (result.drums === "chord2") {
+      console.log("鼓組: Chord2 只演奏鼓組（第 10 頻道），原本的 Chord2 音符併入 Chord1");
+    } else if (parsed.drums === "chord2") {
+      console.log("鼓組: 來源沒有可用的打擊樂音符，Chord2 維持原本的音符");
+    }
+    for (const player of result.players) {
+      for (const [role, part] of Object.entries(player.parts)) {
+        for (const issue of part.issues) {
+          console.warn(`警告: 合奏${player.index} ${role}: ${issue.message}`);
+        }
+      }
+      const savings = Object.entries(player.parts).map(([role, part]) => `${role}=${part.savedChars}`);
+      console.log(`合奏${player.index} 時值拆分節省字元: ${savings.join(" ")}`);
+      const grids = Object.entries(player.parts).map(([role, part]) => {
+        const values = Array.from(new Set(part.phraseGrids.map((grid) => grid.stepsPerQuarter))).sort((a, b) => a - b);
+        return `${role}=${values.join("/") || "-"}`;
+      });
+      console.log(`合奏${player.index} 樂句格線(每四分音符步數): ${grids.join(" ")}`);
+      if (player.commonEndTicks < player.segmentTicks) {
+        console.log(`合奏${player.index} 共同結束 tick: ${Math.round(player.commonEndTicks)} / ${player.segmentTicks}`);
+      }
+      const folds = Object.entries(player.parts)
+        .filter(([, part]) => part.folds.length > 0)
+        .map(([role, part]) => `${role}=${part.folds.length}`);
+      if (folds.length > 0) {
+        console.log(`合奏${player.index} 八度摺疊: ${folds.join(" ")}`);
+      }
+      const dynamics = Object.entries(player.parts)
+        .map(([role, part]) => [role, Math.max(0, (part.text.match(/v\d+/g) || []).length - 1)])
+        .filter(([, count]) => count > 0)
+        .map(([role, count]) => `${role}=${count}`);
+      if (dynamics.length > 0) {
+        console.log(`合奏${player.index} 力度變化: ${dynamics.join(" ")}`);
+      }
+    }
   } catch (error) {
     console.error(`轉換失敗: ${error.message}`);
     process.exitCode = 1;
@@ -2473,6 +4443,11 @@ async function main() {
 
   const resultPath = path.resolve("Result.md");
   fs.writeFileSync(resultPath, score, "utf8");
+  if (resultJson) {
+    const jsonPath = path.resolve("Result.json");
+    fs.writeFileSync(jsonPath, resultJson, "utf8");
+    console.log(`完成: ${jsonPath}`);
+  }
 
   if (parsed.output) {
     const outputPath = path.resolve(parsed.output);
@@ -2506,3 +4481,23 @@ if (require.main === module) {
     process.exitCode = 1;
   });
 }
+
+module.exports = {
+  LIMITS,
+  buildConvertOptions,
+  buildResultJson,
+  convertMidi,
+  convertMidiToScore,
+  buildScoreParts,
+  buildPartText,
+  buildStepSequence,
+  collectTrackStats,
+  evaluateSequenceFidelity,
+  mergeTrackNotes,
+  parseArgs,
+  pickTrackGroups,
+  readMeter,
+  renderMetaLine,
+  renderScore,
+  renderEnsembleScores,
+};
@@ -0,0 +1,354 @@
+const fs = require("fs");
+const path = require("path");
+
+const PART_ROLES = ["melody", "chord1", "chord2", "drums"];
+
+const ENCODER_COMMANDS = ["t", "v", "o", "l", "<", ">", "&", "."];
+
+const DEFAULT_PROFILE_NAME = "default";
+
+const PITCH_LETTERS = { c: 0, d: 2, e: 4, f: 5, g: 7, a: 9, b: 11 };
+
+const BUILTIN_PROFILES = {
+  default: {
+    name: "default",
+    description: "Melody/Chord1/Chord2 三聲部（1200/800/500）",
+    parts: [
+      { role: "melody", label: "主音Melody", trackName: "Melody", limit: 1200 },
+      { role: "chord1", label: "和弦Chord1", trackName: "Chord1", limit: 800 },
+      { role: "chord2", label: "和弦Chord2", trackName: "Chord2", limit: 500 },
+    ],
+    octave: { min: 0, max: 9 },
+    volume: { min: 0, max: 15 },
+    tempo: { min: 30, max: 300 },
+    commands: ENCODER_COMMANDS,
+  },
+  duet: {
+    name: "duet",
+    description: "Melody/Chord 雙聲部（1200/800），Chord2 併入 Chord1",
+    parts: [
+      { role: "melody", label: "主音Melody", trackName: "Melody", limit: 1200 },
+      { role: "chord1", label: "和弦Chord1", trackName: "Chord1", limit: 800 },
+    ],
+    octave: { min: 0, max: 9 },
+    volume: { min: 0, max: 15 },
+    tempo: { min: 30, max: 300 },
+    commands: ENCODER_COMMANDS,
+  },
+  solo: {
+    name: "solo",
+    description: "單一 Melody 聲部（1200）",
+    parts: [
+      { role: "melody", label: "主音Melody", trackName: "Melody", limit: 1200 },
+    ],
+    octave: { min: 0, max: 9 },
+    volume: { min: 0, max: 15 },
+    tempo: { min: 30, max: 300 },
+    commands: ENCODER_COMMANDS,
+  },
+};
+
+const DRUM_PART = { role: "drums", label: "鼓Drums", trackName: "Drums", limit: 500 };
+
+function normalizeRange(raw, fallback, label) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  const min = Number.isFinite(source.min) ? Math.round(source.min) : fallback.min;
+  const max = Number.isFinite(source.max) ? Math.round(source.max) : fallback.max;
+  if (min > max) {
+    throw new Error(`Invalid profile ${label} range: ${min}..${max}`);
+  }
+  return { min, max };
+}
+
+// Parts only fold octaves when a range is set (`--range` or the profile); builtin parts have none.
+function normalizePartRange(raw, fallback) {
+  if (!raw && !fallback) {
+    return null;
+  }
+  const range = normalizeRange(raw, fallback || { min: 0, max: 127 }, "part range");
+  if (range.min < 0 || range.max > 127) {
+    throw new Error(`Invalid profile part range: ${range.min}..${range.max}`);
+  }
+  // Folding needs at least one full octave to land every pitch class.
+  if (range.max - range.min < 11) {
+    throw new Error(`Profile part range must span at least an octave: ${range.min}..${range.max}`);
+  }
+  return range;
+}
+
+function parsePitch(text) {
+  const source = String(text || "").trim().toLowerCase();
+  if (/^\d+$/.test(source)) {
+    return Number.parseInt(source, 10);
+  }
+  const match = source.match(/^([a-g])([+#-]?)(-?\d)$/);
+  if (!match) {
+    return null;
+  }
+  const accidental = match[2] === "-" ? -1 : (match[2] ? 1 : 0);
+  return (Number.parseInt(match[3], 10) + 1) * 12 + PITCH_LETTERS[match[1]] + accidental;
+}
+
+function parsePartRange(spec) {
+  const match = String(spec || "").match(/^([a-z0-9]+)=([^.]+)\.\.(.+)$/i);
+  const role = match ? match[1].toLowerCase() : "";
+  const min = match ? parsePitch(match[2]) : null;
+  const max = match ? parsePitch(match[3]) : null;
+  if (!PART_ROLES.includes(role) || min === null || max === null) {
+    throw new Error(`Invalid range value: ${spec}`);
+  }
+  return { role, min, max };
+}
+
+function withPartRanges(profile, ranges) {
+  const overrides = ranges || {};
+  if (Object.keys(overrides).length === 0) {
+    return profile;
+  }
+  return normalizeProfile({
+    ...profile,
+    parts: profile.parts.map((part) => (overrides[part.role] ? { ...part, range: overrides[part.role] } : part)),
+  }, profile);
+}
+
+function withDrumPart(profile) {
+  if (profile.parts.some((part) => part.role === "drums")) {
+    return profile;
+  }
+  return normalizeProfile({ ...profile, parts: profile.parts.concat(DRUM_PART) }, profile);
+}
+
+function findTrackRole(trackName) {
+  // Parallel sheets are written as Melody-1, Melody-2, ...
+  const name = String(trackName || "").replace(/-\d+$/, "");
+  const part = Object.values(BUILTIN_PROFILES)
+    .flatMap((profile) => profile.parts)
+    .concat(DRUM_PART)
+    .find((item) => item.trackName === name);
+  return part ? part.role : null;
+}
+
+/**
+ * `#META parts=` lists a custom profile's parts as `role:label` so readers find its labels without the profile file.
+ * Builtin layouts are left out because `profile=` already names them; the drum part follows `drums=part` instead.
+ */
+function formatPartLayout(profile) {
+  const parts = profile.parts.filter((part) => part.role !== "drums");
+  const builtin = BUILTIN_PROFILES[profile.name];
+  const isBuiltinLayout = builtin
+    && builtin.parts.length === parts.length
+    && builtin.parts.every((part, index) => part.role === parts[index].role && part.label === parts[index].label);
+  if (isBuiltinLayout) {
+    return "";
+  }
+  return parts
+    .map((part) => `${part.role}:${part.label.replace(/[%,:\s]/g, (char) => encodeURIComponent(char))}`)
+    .join(",");
+}
+
+/**
+ * Reads `#META parts=` back into `{ role, label, trackName }` entries, or null when it is missing or unreadable.
+ */
+function readPartLayout(value) {
+  if (typeof value !== "string" || value.length === 0) {
+    return null;
+  }
+  const parts = [];
+  for (const entry of value.split(",")) {
+    const match = entry.match(/^([a-z0-9]+):(.+)$/);
+    const role = match ? match[1] : "";
+    const basePart = BUILTIN_PROFILES.default.parts.find((part) => part.role === role);
+    if (!basePart || parts.some((part) => part.role === role)) {
+      return null;
+    }
+    let label;
+    try {
+      label = decodeURIComponent(match[2]);
+    } catch (error) {
+      return null;
+    }
+    parts.push({ role, label, trackName: basePart.trackName });
+  }
+  return parts;
+}
+
+/**
+ * Profile a score was written with, from `#META profile=` and `parts=`; unknown names fall back to the default
+ * profile. The drum part is not added here.
+ */
+function resolveMetadataProfile(metadata) {
+  const name = typeof metadata.profile === "string" ? metadata.profile.toLowerCase() : DEFAULT_PROFILE_NAME;
+  const profile = loadProfile(Object.prototype.hasOwnProperty.call(BUILTIN_PROFILES, name) ? name : DEFAULT_PROFILE_NAME);
+  const customParts = readPartLayout(metadata.parts);
+  if (!customParts) {
+    return profile;
+  }
+  return normalizeProfile({
+    ...profile,
+    parts: customParts.map((part) => ({ role: part.role, label: part.label })),
+  }, profile);
+}
+
+function normalizeProfile(raw, base = BUILTIN_PROFILES[DEFAULT_PROFILE_NAME]) {
+  const source = raw && typeof raw === "object" ? raw : {};
+  const name = String(source.name || base.name);
+  if (!/^[A-Za-z0-9_.-]+$/.test(name)) {
+    throw new Error(`Invalid profile name: ${name}`);
+  }
+
+  const rawParts = Array.isArray(source.parts) && source.parts.length > 0 ? source.parts : base.parts;
+  const seenRoles = new Set();
+  const parts = rawParts.map((part, index) => {
+    const role = String(part && part.role ? part.role : PART_ROLES[index] || "").toLowerCase();
+    if (!PART_ROLES.includes(role)) {
+      throw new Error(`Invalid profile part role: ${role || "(empty)"}`);
+    }
+    if (seenRoles.has(role)) {
+      throw new Error(`Duplicate profile part role: ${role}`);
+    }
+    seenRoles.add(role);
+
+    const basePart = base.parts.find((item) => item.role === role)
+      || BUILTIN_PROFILES.default.parts.find((item) => item.role === role)
+      || DRUM_PART;
+    const limit = Number.isFinite(part.limit) ? Math.round(part.limit) : basePart.limit;
+    if (!Number.isInteger(limit) || limit <= 0) {
+      throw new Error(`Invalid profile part limit: ${part.limit}`);
+    }
+    return {
+      role,
+      label: String(part.label || basePart.label),
+      trackName: String(part.trackName || basePart.trackName),
+      limit,
+      range: normalizePartRange(part.range, basePart.range),
+    };
+  });
+  if (!seenRoles.has("melody")) {
+    throw new Error("Profile must include a melody part.");
+  }
+
+  const commands = Array.isArray(source.commands) ? source.commands.map((item) => String(item)) : base.commands.slice();
+  for (const command of commands) {
+    if (!ENCODER_COMMANDS.includes(command)) {
+      throw new Error(`Unsupported profile command: ${command}`);
+    }
+  }
+  if (!commands.includes("o") && !(commands.includes("<") && commands.includes(">"))) {
+    throw new Error("Profile must allow either o or both < and > for octave changes.");
+  }
+
+  return {
+    name,
+    description: String(source.description || base.description || ""),
+    parts,
+    octave: normalizeRange(source.octave, base.octave, "octave"),
+    volume: normalizeRange(source.volume, base.volume, "volume"),
+    tempo: normalizeRange(source.tempo, base.tempo, "tempo"),
+    commands,
+  };
+}
+
+function loadProfile(nameOrPath) {
+  const key = String(nameOrPath || DEFAULT_PROFILE_NAME).trim();
+  if (Object.prototype.hasOwnProperty.call(BUILTIN_PROFILES, key.toLowerCase())) {
+    return normalizeProfile(BUILTIN_PROFILES[key.toLowerCase()]);
+  }
+
+  const profilePath = path.resolve(key);
+  if (!fs.existsSync(profilePath)) {
+    throw new Error(`Unknown profile: ${nameOrPath}`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(profilePath, "utf8"));
+  } catch (error) {
+    throw new Error(`Invalid profile file ${profilePath}: ${error.message}`);
+  }
+
+  const baseName = String(raw.extends || DEFAULT_PROFILE_NAME).toLowerCase();
+  if (!Object.prototype.hasOwnProperty.call(BUILTIN_PROFILES, baseName)) {
+    throw new Error(`Unknown base profile: ${raw.extends}`);
+  }
+  return normalizeProfile({
+    name: path.basename(profilePath, path.extname(profilePath)),
+    ...raw,
+  }, BUILTIN_PROFILES[baseName]);
+}
+
+function getDefaultProfile() {
+  return normalizeProfile(BUILTIN_PROFILES[DEFAULT_PROFILE_NAME]);
+}
+
+function getProfileLimits(profile) {
+  const limits = {};
+  for (const part of profile.parts) {
+    limits[part.role] = part.limit;
+  }
+  return limits;
+}
+
+function isDefaultProfile(profile) {
+  return !profile || profile.name === DEFAULT_PROFILE_NAME;
+}
+
+function validateMmlPart(text, profile, part) {
+  const source = String(text || "");
+  const allowed = new Set(profile.commands);
+  const issues = [];
+
+  if (part && Number.isFinite(part.limit) && source.length > part.limit) {
+    issues.push({
+      code: "over-limit",
+      index: part.limit,
+      message: `${part.label} 長度 ${source.length} 超過上限 ${part.limit}`,
+    });
+  }
+
+  const commandPattern = /([tvol])(\d*)|([<>&.])/gi;
+  let match = null;
+  while ((match = commandPattern.exec(source)) !== null) {
+    const command = (match[1] || match[3]).toLowerCase();
+    if (!allowed.has(command)) {
+      issues.push({
+        code: "command-not-allowed",
+        index: match.index,
+        message: `profile ${profile.name} 不允許指令 ${command}`,
+      });
+      continue;
+    }
+
+    const value = match[2] ? Number.parseInt(match[2], 10) : null;
+    const range = command === "o" ? profile.octave : (command === "v" ? profile.volume : (command === "t" ? profile.tempo : null));
+    if (range && value !== null && (value < range.min || value > range.max)) {
+      issues.push({
+        code: "out-of-range",
+        index: match.index,
+        message: `${command}${value} 超出範圍 ${range.min}..${range.max}`,
+      });
+    }
+  }
+
+  return issues;
+}
+
+module.exports = {
+  BUILTIN_PROFILES,
+  DEFAULT_PROFILE_NAME,
+  DRUM_PART,
+  ENCODER_COMMANDS,
+  PART_ROLES,
+  findTrackRole,
+  formatPartLayout,
+  getDefaultProfile,
+  getProfileLimits,
+  isDefaultProfile,
+  loadProfile,
+  normalizeProfile,
+  parsePartRange,
+  readPartLayout,
+  resolveMetadataProfile,
+  validateMmlPart,
+  withDrumPart,
+  withPartRanges,
+};
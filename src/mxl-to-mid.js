@@ -16,6 +16,87 @@ const STEP_TO_SEMITONE = {
   B: 11,
 };
 
+// MIDI velocity (0..127) per dynamic mark, as notation programs play them back.
+const DYNAMIC_LEVELS = {
+  pppppp: 5,
+  ppppp: 8,
+  pppp: 10,
+  ppp: 16,
+  pp: 33,
+  p: 49,
+  mp: 64,
+  mf: 80,
+  f: 96,
+  ff: 112,
+  fff: 120,
+  ffff: 124,
+  fffff: 126,
+  ffffff: 127,
+};
+
+// Stress marks only hit the note they sit on; fp-style marks then drop to the level after them.
+const STRESS_DYNAMICS = {
+  sf: { velocity: 96 },
+  sfz: { velocity: 96 },
+  sffz: { velocity: 112 },
+  fz: { velocity: 96 },
+  rf: { velocity: 88 },
+  rfz: { velocity: 96 },
+  fp: { velocity: 96, after: "p" },
+  sfp: { velocity: 96, after: "p" },
+  sfpp: { velocity: 96, after: "pp" },
+};
+
+// `<sound dynamics>` is a percentage of the default forte velocity of 90.
+const SOUND_DYNAMICS_FORTE = 90;
+
+// Velocity change of a hairpin with no dynamic mark at its end: one dynamic level.
+const WEDGE_STEP = 16 / 127;
+
+// A dynamic mark this many beats past a hairpin's end is still the hairpin's target.
+const WEDGE_TARGET_BEATS = 4;
+
+const ARTICULATION_LENGTHS = {
+  staccatissimo: 0.25,
+  spiccato: 0.35,
+  staccato: 0.5,
+  "detached-legato": 0.75,
+};
+
+const ARTICULATION_ACCENTS = {
+  accent: 0.12,
+  "strong-accent": 0.2,
+};
+
+// Ornament and grace-note speeds are note values: 32 plays 32nd notes, i.e. 1/8 beat.
+const DEFAULT_ORNAMENT_SPEED = 32;
+const DEFAULT_GRACE_SPEED = 32;
+
+// Grace notes without `steal-time-following` never take more than this share of their principal note.
+const GRACE_MAX_SHARE = 0.5;
+
+// Figures play one ornament note each; the last one holds the rest of the written note.
+const ORNAMENT_FIGURES = {
+  mordent: ["main", "lower", "main"],
+  "inverted-mordent": ["main", "upper", "main"],
+  turn: ["upper", "main", "lower", "main"],
+  "inverted-turn": ["lower", "main", "upper", "main"],
+};
+
+const TRILL_ORNAMENTS = ["trill-mark", "shake"];
+
+const ACCIDENTAL_MARK_ALTERS = {
+  sharp: 1,
+  natural: 0,
+  flat: -1,
+  "double-sharp": 2,
+  "sharp-sharp": 2,
+  "flat-flat": -2,
+};
+
+// Key signatures add sharps in this order and flats in the reverse one.
+const SHARP_ORDER = "FCGDAEB";
+
 const XML_PARSER_OPTIONS = {
   ignoreAttributes: false,
   attributeNamePrefix: "@_",
@@ -107,74 +188,162 @@ function hasTag(nodes, tagName) {
   return getFirstChild(nodes, tagName) !== null;
 }
 
-function readContainerRootPath(containerXmlText) {
+function readContainerRootPaths(containerXmlText) {
   const parser = new XMLParser(XML_PARSER_OPTIONS);
   const parsed = parser.parse(containerXmlText);
   const container = parsed && parsed.container ? parsed.container : null;
   if (!container || !container.rootfiles) {
-    return null;
+    return [];
   }
-  const rootfiles = ensureArray(container.rootfiles.rootfile);
-  for (const rootfile of rootfiles) {
+  const paths = [];
+  for (const rootfile of ensureArray(container.rootfiles.rootfile)) {
     if (!rootfile || typeof rootfile !== "object") {
       continue;
     }
     const fullPath = rootfile["@_full-path"];
-    if (typeof fullPath === "string" && fullPath.trim() !== "") {
-      return fullPath;
+    const mediaType = rootfile["@_media-type"];
+    if (typeof fullPath !== "string" || fullPath.trim() === "") {
+      continue;
+    }
+    // Containers may also carry PDFs or images of the score next to the MusicXML rootfiles.
+    if (mediaType ? /musicxml/i.test(mediaType) : /\.(musicxml|xml)$/i.test(fullPath)) {
+      paths.push(fullPath);
     }
   }
-  return null;
+  return paths;
+}
+
+function collectOpusLinks(opusChildren, out) {
+  for (const node of ensureArray(opusChildren)) {
+    if (!node || typeof node !== "object") {
+      continue;
+    }
+    const href = (node[":@"] || {})["@_xlink:href"];
+    if ((node.score || node["opus-link"]) && href) {
+      out.push(href);
+    } else if (node.opus) {
+      collectOpusLinks(node.opus, out);
+    }
+  }
+  return out;
+}
+
+/**
+ * Returns the score (or nested opus) links of an `<opus>` document in order, or null for a score.
+ */
+function readOpusLinks(xmlText) {
+  // Scores may name their opus inside <work>, so only a root <opus> element counts.
+  if (!/<opus[\s>]/.test(xmlText)) {
+    return null;
+  }
+  const ordered = new XMLParser(ORDERED_XML_PARSER_OPTIONS).parse(xmlText);
+  const opusNode = ensureArray(ordered).find((node) => node && node.opus);
+  return opusNode ? collectOpusLinks(opusNode.opus, []) : null;
+}
+
+function readMovementTitle(xmlText, fallback) {
+  const match = xmlText.match(/<movement-title>([^<]*)<\/movement-title>/) || xmlText.match(/<work-title>([^<]*)<\/work-title>/);
+  return match && match[1].trim() ? match[1].trim() : fallback;
 }
 
-function readMusicXmlText(inputPath) {
+/**
+ * Reads every movement of a MusicXML file in order: each MusicXML rootfile of an `.mxl` container, with `<opus>`
+ * documents expanded into the scores they list. Returns `[{ title, xmlText }]`.
+ */
+function readMusicXmlMovements(inputPath) {
   const ext = path.extname(inputPath || "").toLowerCase();
+  let readEntry = (filePath) => fs.readFileSync(filePath, "utf8");
+  let resolveLink = (basePath, href) => path.resolve(path.dirname(basePath), href);
+  let rootPaths = [inputPath];
+
   if (ext === ".mxl") {
     const zip = new AdmZip(inputPath);
-    const entries = zip.getEntries();
-    const entryNames = entries.map((entry) => entry.entryName);
-    let xmlEntryPath = null;
+    const entryNames = zip.getEntries().map((entry) => entry.entryName);
+    readEntry = (entryPath) => {
+      const entry = zip.getEntry(entryPath);
+      if (!entry) {
+        throw new Error(`找不到 MusicXML entry: ${entryPath}`);
+      }
+      return zip.readAsText(entry.entryName);
+    };
+    resolveLink = (basePath, href) => path.posix.join(path.posix.dirname(basePath), href);
 
     const containerEntry = zip.getEntry("META-INF/container.xml");
-    if (containerEntry) {
-      const containerXmlText = zip.readAsText(containerEntry.entryName);
-      xmlEntryPath = readContainerRootPath(containerXmlText);
-    }
-
-    if (!xmlEntryPath) {
+    rootPaths = containerEntry ? readContainerRootPaths(zip.readAsText(containerEntry.entryName)) : [];
+    if (rootPaths.length === 0) {
       const fallback = entryNames.find((name) => /\.(musicxml|xml)$/i.test(name) && !/^META-INF\//i.test(name));
       if (!fallback) {
         throw new Error("找不到可用的 MusicXML 內容（container.xml 與 XML entry 都不存在）。");
       }
-      xmlEntryPath = fallback;
+      rootPaths = [fallback];
     }
+  }
 
-    const xmlEntry = zip.getEntry(xmlEntryPath);
-    if (!xmlEntry) {
-      throw new Error(`找不到 MusicXML entry: ${xmlEntryPath}`);
+  const movements = [];
+  const visited = new Set();
+  const visit = (entryPath) => {
+    if (visited.has(entryPath)) {
+      return;
     }
-    return zip.readAsText(xmlEntry.entryName);
-  }
+    visited.add(entryPath);
+    const xmlText = readEntry(entryPath);
+    const links = readOpusLinks(xmlText);
+    if (!links) {
+      movements.push({ title: readMovementTitle(xmlText, path.basename(entryPath)), xmlText });
+      return;
+    }
+    for (const href of links) {
+      visit(resolveLink(entryPath, href));
+    }
+  };
+  rootPaths.forEach(visit);
 
-  return fs.readFileSync(inputPath, "utf8");
+  if (movements.length === 0) {
+    throw new Error("MusicXML 沒有可轉換的樂章。");
+  }
+  return movements;
 }
 
 function getScorePartwiseObject(parsed) {
   if (!parsed || typeof parsed !== "object") {
     return null;
   }
-  if (parsed["score-partwise"]) {
-    return parsed["score-partwise"];
+  // Only the part list is read from this tree, and it is the same in both layouts.
+  return parsed["score-partwise"] || parsed["score-timewise"] || null;
+}
+
+/**
+ * Regroups score-timewise nodes (measures holding parts) into score-partwise nodes (parts holding measures).
+ */
+function convertTimewiseToPartwise(timewiseNodes) {
+  const header = [];
+  const parts = new Map();
+  for (const node of ensureArray(timewiseNodes)) {
+    if (!node || typeof node !== "object" || !node.measure) {
+      header.push(node);
+      continue;
+    }
+    for (const partNode of ensureArray(node.measure)) {
+      if (!partNode || typeof partNode !== "object" || !partNode.part) {
+        continue;
+      }
+      const id = String((partNode[":@"] || {})["@_id"] || "");
+      if (!parts.has(id)) {
+        parts.set(id, []);
+      }
+      parts.get(id).push({ measure: partNode.part, ":@": node[":@"] || {} });
+    }
   }
-  return null;
+  return header.concat(Array.from(parts, ([id, measures]) => ({ part: measures, ":@": { "@_id": id } })));
 }
 
 function getScorePartwiseOrderedNodes(parsedOrdered) {
   const node = ensureArray(parsedOrdered).find((item) => item && item["score-partwise"]);
-  if (!node) {
-    return null;
+  if (node) {
+    return node["score-partwise"];
   }
-  return node["score-partwise"];
+  const timewise = ensureArray(parsedOrdered).find((item) => item && item["score-timewise"]);
+  return timewise ? convertTimewiseToPartwise(timewise["score-timewise"]) : null;
 }
 
 function buildPartNameMap(scorePartwiseObject) {
@@ -347,7 +516,7 @@ function parseTransposeFromAttributes(attributesChildren) {
   return chromatic + octaveChange * 12;
 }
 
-function parsePitchMidi(noteChildren, state, staff) {
+function readWrittenPitch(noteChildren) {
   const pitchNode = getFirstChild(noteChildren, "pitch");
   if (!pitchNode) {
     return null;
@@ -363,12 +532,48 @@ function parsePitchMidi(noteChildren, state, staff) {
   if (!Number.isFinite(octave)) {
     return null;
   }
+  return { step, alter, octave };
+}
+
+function getWrittenPitchNumber(pitch) {
+  return (pitch.octave + 1) * 12 + STEP_TO_SEMITONE[pitch.step] + pitch.alter;
+}
+
+function parsePitchMidi(noteChildren, state, staff) {
+  const pitch = readWrittenPitch(noteChildren);
+  if (!pitch) {
+    return null;
+  }
 
-  const base = (octave + 1) * 12 + STEP_TO_SEMITONE[step] + alter;
-  const shifted = base + state.transposeSemitone + getActiveOctaveShift(state, staff);
+  const shifted = getWrittenPitchNumber(pitch) + state.transposeSemitone + getActiveOctaveShift(state, staff);
   return clamp(Math.round(shifted), 0, 127);
 }
 
+function readKeyAlter(step, fifths) {
+  const index = SHARP_ORDER.indexOf(step);
+  if (fifths > 0) {
+    return index < fifths ? 1 : 0;
+  }
+  if (fifths < 0) {
+    return SHARP_ORDER.length - 1 - index < -fifths ? -1 : 0;
+  }
+  return 0;
+}
+
+/**
+ * Semitones from a written pitch to its diatonic neighbour (direction 1 = upper, -1 = lower) in the current key,
+ * unless an ornament accidental mark spells the neighbour explicitly.
+ */
+function getNeighbourOffset(pitch, direction, fifths, accidentalAlter) {
+  const steps = Object.keys(STEP_TO_SEMITONE);
+  const index = steps.indexOf(pitch.step) + direction;
+  const step = steps[(index + steps.length) % steps.length];
+  const alter = accidentalAlter !== undefined ? accidentalAlter : readKeyAlter(step, fifths);
+  const octave = pitch.octave + Math.floor(index / steps.length);
+  const offset = getWrittenPitchNumber({ step, alter, octave }) - getWrittenPitchNumber(pitch);
+  return direction > 0 ? Math.max(1, offset) : Math.min(-1, offset);
+}
+
 function extractTieTypes(noteChildren) {
   const types = [];
   for (const node of ensureArray(noteChildren)) {
@@ -384,6 +589,269 @@ function extractTieTypes(noteChildren) {
   return types;
 }
 
+function readDynamicsMark(dynamicsChildren) {
+  for (const child of ensureArray(dynamicsChildren)) {
+    if (!child || typeof child !== "object") {
+      continue;
+    }
+    for (const key of Object.keys(child)) {
+      const name = key.toLowerCase();
+      if (Object.prototype.hasOwnProperty.call(DYNAMIC_LEVELS, name)) {
+        return { velocity: DYNAMIC_LEVELS[name] / 127 };
+      }
+      if (Object.prototype.hasOwnProperty.call(STRESS_DYNAMICS, name)) {
+        const stress = STRESS_DYNAMICS[name];
+        return {
+          velocity: stress.velocity / 127,
+          once: true,
+          after: stress.after ? DYNAMIC_LEVELS[stress.after] / 127 : null,
+        };
+      }
+    }
+  }
+  return null;
+}
+
+function pushDynamicsMark(state, beat, mark) {
+  if (!mark) {
+    return;
+  }
+  state.dynamicMarks.push({ beat, velocity: mark.velocity, once: Boolean(mark.once) });
+  if (mark.after) {
+    state.dynamicMarks.push({ beat, velocity: mark.after, once: false });
+  }
+}
+
+function readSoundDynamics(attrs) {
+  const percent = Number.parseFloat((attrs || {})["@_dynamics"]);
+  if (!Number.isFinite(percent) || percent < 0) {
+    return null;
+  }
+  return { velocity: clamp((percent / 100) * SOUND_DYNAMICS_FORTE, 1, 127) / 127 };
+}
+
+function applyDynamicsDirection(state, directionChildren) {
+  let mark = null;
+  let soundMark = null;
+  for (const child of ensureArray(directionChildren)) {
+    if (!child || typeof child !== "object") {
+      continue;
+    }
+    if (child.sound) {
+      soundMark = readSoundDynamics(child[":@"]) || soundMark;
+    }
+    for (const directionType of ensureArray(child["direction-type"])) {
+      if (!directionType || typeof directionType !== "object") {
+        continue;
+      }
+      if (directionType.dynamics) {
+        mark = readDynamicsMark(directionType.dynamics) || mark;
+      }
+      if (directionType.wedge) {
+        const attrs = directionType[":@"] || {};
+        const type = String(attrs["@_type"] || "").toLowerCase();
+        const number = String(attrs["@_number"] || "1");
+        if (type === "crescendo" || type === "diminuendo") {
+          state.openWedges.set(number, { type, startBeat: state.currentBeat });
+        } else if (type === "stop" && state.openWedges.has(number)) {
+          state.wedges.push({ ...state.openWedges.get(number), endBeat: state.currentBeat });
+          state.openWedges.delete(number);
+        }
+      }
+    }
+  }
+  // An explicit playback value wins over the printed mark it usually accompanies.
+  pushDynamicsMark(state, state.currentBeat, soundMark || mark);
+}
+
+function readNoteNotations(noteChildren) {
+  const result = { dynamics: null, lengthFactor: 1, accent: 0, ornament: null, tremolo: null };
+  const names = new Set();
+  const accidentals = {};
+  for (const notations of getChildrenByTag(noteChildren, "notations")) {
+    for (const child of ensureArray(notations)) {
+      if (!child || typeof child !== "object") {
+        continue;
+      }
+      if (child.dynamics) {
+        result.dynamics = readDynamicsMark(child.dynamics) || result.dynamics;
+      }
+      for (const articulation of ensureArray(child.articulations)) {
+        if (articulation && typeof articulation === "object") {
+          Object.keys(articulation).filter((key) => key !== ":@").forEach((key) => names.add(key));
+        }
+      }
+      for (const ornament of ensureArray(child.ornaments)) {
+        if (!ornament || typeof ornament !== "object") {
+          continue;
+        }
+        const attrs = ornament[":@"] || {};
+        if (ornament["accidental-mark"]) {
+          const alter = ACCIDENTAL_MARK_ALTERS[readText(ornament["accidental-mark"]).trim().toLowerCase()];
+          if (alter !== undefined) {
+            accidentals[String(attrs["@_placement"]).toLowerCase() === "below" ? "lower" : "upper"] = alter;
+          }
+        } else if (ornament.tremolo) {
+          const marks = Number.parseInt(readText(ornament.tremolo), 10);
+          result.tremolo = {
+            type: String(attrs["@_type"] || "single").toLowerCase(),
+            marks: Number.isInteger(marks) && marks > 0 ? marks : 3,
+          };
+        } else {
+          const name = TRILL_ORNAMENTS.concat(Object.keys(ORNAMENT_FIGURES)).find((key) => ornament[key] !== undefined);
+          if (name) {
+            result.ornament = { name, attrs };
+          }
+        }
+      }
+    }
+  }
+  if (result.ornament) {
+    result.ornament.accidentals = accidentals;
+  }
+
+  for (const name of names) {
+    if (Object.prototype.hasOwnProperty.call(ARTICULATION_LENGTHS, name)) {
+      result.lengthFactor = Math.min(result.lengthFactor, ARTICULATION_LENGTHS[name]);
+    }
+    if (Object.prototype.hasOwnProperty.call(ARTICULATION_ACCENTS, name)) {
+      result.accent = Math.max(result.accent, ARTICULATION_ACCENTS[name]);
+    }
+  }
+  // Staccato under a tenuto line is portato.
+  if (names.has("tenuto") && result.lengthFactor < 1) {
+    result.lengthFactor = ARTICULATION_LENGTHS["detached-legato"];
+  }
+  return result;
+}
+
+/**
+ * Returns `beat -> velocity (0..1)` for one part: the latest dynamic level, ramped through hairpins toward the next
+ * mark (or one level up/down when the hairpin ends without one). Stress marks (`sfz`, `fp`) only apply to notes
+ * starting on their beat.
+ */
+function buildVelocityTimeline(state, defaultVelocity) {
+  const epsilon = 1e-6;
+  const levels = state.dynamicMarks.filter((mark) => !mark.once).sort((a, b) => a.beat - b.beat);
+  const stresses = state.dynamicMarks.filter((mark) => mark.once);
+  const levelAt = (beat) => {
+    let velocity = defaultVelocity;
+    for (const mark of levels) {
+      if (mark.beat > beat + epsilon) {
+        break;
+      }
+      velocity = mark.velocity;
+    }
+    return velocity;
+  };
+
+  const ramps = state.wedges
+    .filter((wedge) => wedge.endBeat > wedge.startBeat)
+    .sort((a, b) => a.startBeat - b.startBeat)
+    .map((wedge) => {
+      const from = levelAt(wedge.startBeat);
+      const target = levels.find((mark) => mark.beat > wedge.startBeat + epsilon
+        && mark.beat <= wedge.endBeat + WEDGE_TARGET_BEATS);
+      const step = wedge.type === "crescendo" ? WEDGE_STEP : -WEDGE_STEP;
+      return { ...wedge, from, to: target ? target.velocity : clamp(from + step, 0.05, 1), explicit: Boolean(target) };
+    });
+  for (const ramp of ramps) {
+    if (!ramp.explicit) {
+      levels.push({ beat: ramp.endBeat, velocity: ramp.to });
+    }
+  }
+  levels.sort((a, b) => a.beat - b.beat);
+
+  return (beat) => {
+    const stress = stresses.find((mark) => Math.abs(mark.beat - beat) < epsilon);
+    if (stress) {
+      return stress.velocity;
+    }
+    const ramp = ramps.find((item) => beat >= item.startBeat - epsilon && beat < item.endBeat - epsilon);
+    if (ramp) {
+      return ramp.from + ((ramp.to - ramp.from) * (beat - ramp.startBeat)) / (ramp.endBeat - ramp.startBeat);
+    }
+    return levelAt(beat);
+  };
+}
+
+function getTremoloBeats(marks) {
+  // One stroke plays eighth notes, each further stroke halves them.
+  return 0.5 / 2 ** (marks - 1);
+}
+
+/**
+ * Turns a note's ornament or single-note tremolo into `{ pitches, stepBeats, fill }`: `fill` alternates the pitches
+ * over the whole note, otherwise each pitch plays once and the last one holds.
+ */
+function resolveOrnament(notations, midi, pitch, state, speeds) {
+  const tremolo = notations.tremolo;
+  if (tremolo && (tremolo.type === "single" || tremolo.type === "unmeasured")) {
+    const stepBeats = tremolo.type === "unmeasured" ? speeds.ornamentBeats : getTremoloBeats(tremolo.marks);
+    return { pitches: [midi], stepBeats, fill: true };
+  }
+
+  const ornament = notations.ornament;
+  if (!ornament || !pitch) {
+    return null;
+  }
+  const pitches = {
+    main: midi,
+    upper: clamp(midi + getNeighbourOffset(pitch, 1, state.keyFifths, ornament.accidentals.upper), 0, 127),
+    lower: clamp(midi + getNeighbourOffset(pitch, -1, state.keyFifths, ornament.accidentals.lower), 0, 127),
+  };
+  if (TRILL_ORNAMENTS.includes(ornament.name)) {
+    const fromUpper = String(ornament.attrs["@_start-note"]).toLowerCase() === "upper";
+    return {
+      pitches: fromUpper ? [pitches.upper, pitches.main] : [pitches.main, pitches.upper],
+      stepBeats: speeds.ornamentBeats,
+      fill: true,
+    };
+  }
+
+  let figure = ORNAMENT_FIGURES[ornament.name];
+  if (String(ornament.attrs["@_long"]).toLowerCase() === "yes") {
+    figure = figure.slice(0, 2).concat(figure);
+  }
+  return { pitches: figure.map((role) => pitches[role]), stepBeats: speeds.ornamentBeats, fill: false };
+}
+
+function expandOrnament(event, ornament) {
+  const { pitches, stepBeats, fill } = ornament;
+  const count = fill ? Math.max(pitches.length, Math.round(event.durationBeats / stepBeats)) : pitches.length;
+  const step = Math.min(stepBeats, event.durationBeats / count);
+  return Array.from({ length: count }, (_, index) => ({
+    ...event,
+    midi: pitches[index % pitches.length],
+    startBeat: event.startBeat + index * step,
+    durationBeats: index === count - 1 ? event.durationBeats - index * step : step,
+  }));
+}
+
+/**
+ * Places queued grace notes at the start of their principal note and returns the beats they took from it.
+ */
+function placeGraceNotes(graces, startBeat, durationBeats, graceBeats, outEvents) {
+  const steal = graces[0].stealPercent;
+  const total = Number.isFinite(steal)
+    ? durationBeats * clamp(steal / 100, 0, 1)
+    : Math.min(graces.length * graceBeats, durationBeats * GRACE_MAX_SHARE);
+  const step = total / graces.length;
+  graces.forEach((grace, index) => {
+    for (const midi of grace.midis) {
+      outEvents.push({
+        midi,
+        startBeat: startBeat + index * step,
+        durationBeats: step,
+        accent: 0,
+        cutBeats: 0,
+        ornament: null,
+      });
+    }
+  });
+  return total;
+}
+
 function flushOpenTies(state, outEvents) {
   for (const tie of state.openTies.values()) {
     if (!Number.isFinite(tie.startBeat) || !Number.isFinite(tie.durationBeats) || tie.durationBeats <= 0) {
@@ -393,30 +861,249 @@ function flushOpenTies(state, outEvents) {
       midi: tie.midi,
       startBeat: tie.startBeat,
       durationBeats: tie.durationBeats,
-      velocity: tie.velocity,
+      accent: tie.accent,
+      cutBeats: tie.cutBeats,
+      ornament: tie.ornament,
     });
   }
   state.openTies.clear();
 }
 
-function parsePartEvents(partChildren, defaultVelocity, tempoMarks) {
+function parseEndingNumbers(rawNumber) {
+  return String(rawNumber || "")
+    .split(/[\s,]+/)
+    .map((item) => Number.parseInt(item, 10))
+    .filter((number) => Number.isInteger(number) && number > 0);
+}
+
+function readSoundMarks(attrs, marks) {
+  if (String(attrs["@_dacapo"] || "").toLowerCase() === "yes") {
+    marks.daCapo = true;
+  }
+  if (attrs["@_dalsegno"] !== undefined) {
+    marks.dalSegno = true;
+  }
+  if (attrs["@_segno"] !== undefined) {
+    marks.segno = true;
+  }
+  if (attrs["@_tocoda"] !== undefined) {
+    marks.toCoda = true;
+  }
+  if (attrs["@_coda"] !== undefined) {
+    marks.coda = true;
+  }
+  if (attrs["@_fine"] !== undefined) {
+    marks.fine = true;
+  }
+}
+
+function readMeasureMarks(measureChildren) {
+  const marks = {
+    repeatForward: false,
+    repeatBackward: 0,
+    endingStart: null,
+    endingStop: false,
+    segno: false,
+    coda: false,
+    toCoda: false,
+    daCapo: false,
+    dalSegno: false,
+    fine: false,
+  };
+
+  for (const child of ensureArray(measureChildren)) {
+    if (!child || typeof child !== "object") {
+      continue;
+    }
+
+    if (child.barline) {
+      for (const barChild of ensureArray(child.barline)) {
+        if (!barChild || typeof barChild !== "object") {
+          continue;
+        }
+        const attrs = barChild[":@"] || {};
+        if (barChild.repeat) {
+          if (String(attrs["@_direction"]).toLowerCase() === "forward") {
+            marks.repeatForward = true;
+          } else {
+            const times = Number.parseInt(attrs["@_times"] || "2", 10);
+            marks.repeatBackward = Number.isInteger(times) && times > 1 ? times : 2;
+          }
+        }
+        if (barChild.ending) {
+          const type = String(attrs["@_type"] || "").toLowerCase();
+          if (type === "start") {
+            marks.endingStart = parseEndingNumbers(attrs["@_number"]);
+          } else {
+            marks.endingStop = true;
+          }
+        }
+      }
+      continue;
+    }
+
+    if (child.sound) {
+      readSoundMarks(child[":@"] || {}, marks);
+      continue;
+    }
+
+    if (child.direction) {
+      for (const directionChild of ensureArray(child.direction)) {
+        if (!directionChild || typeof directionChild !== "object") {
+          continue;
+        }
+        if (directionChild.sound) {
+          readSoundMarks(directionChild[":@"] || {}, marks);
+        }
+        for (const directionType of ensureArray(directionChild["direction-type"])) {
+          if (directionType && typeof directionType === "object") {
+            marks.segno = marks.segno || Boolean(directionType.segno);
+            marks.coda = marks.coda || Boolean(directionType.coda);
+          }
+        }
+      }
+    }
+  }
+  return marks;
+}
+
+/**
+ * Unrolls repeats, voltas and D.C./D.S./Coda/Fine jumps into the measure indexes in playback order. The marks of all
+ * parts are merged per measure so a jump written in only one part still moves every part. After a D.C./D.S. jump,
+ * repeats are not taken again and only the last volta of each group plays.
+ */
+function buildPlaybackOrder(partNodes) {
+  const measureLists = partNodes.map((partNode) => ensureArray(partNode.part).filter((node) => node && node.measure));
+  const count = measureLists.reduce((max, measures) => Math.max(max, measures.length), 0);
+  const marks = Array.from({ length: count }, (_, index) => {
+    const merged = readMeasureMarks([]);
+    for (const measures of measureLists) {
+      const own = measures[index] ? readMeasureMarks(measures[index].measure) : null;
+      if (!own) {
+        continue;
+      }
+      for (const key of Object.keys(merged)) {
+        if (key === "endingStart") {
+          merged.endingStart = merged.endingStart || own.endingStart;
+        } else if (key === "repeatBackward") {
+          merged.repeatBackward = Math.max(merged.repeatBackward, own.repeatBackward);
+        } else {
+          merged[key] = merged[key] || own[key];
+        }
+      }
+    }
+    return merged;
+  });
+
+  // Volta measures: the ending numbers they belong to, and the highest number of their group of consecutive voltas.
+  const endings = new Array(count).fill(null);
+  let openEnding = null;
+  for (let index = 0; index < count; index += 1) {
+    if (marks[index].endingStart) {
+      openEnding = marks[index].endingStart;
+    }
+    if (openEnding) {
+      endings[index] = openEnding;
+    }
+    if (marks[index].endingStop) {
+      openEnding = null;
+    }
+  }
+  const lastEnding = new Array(count).fill(0);
+  for (let index = count - 1; index >= 0; index -= 1) {
+    if (endings[index]) {
+      const following = index + 1 < count && endings[index + 1] ? lastEnding[index + 1] : 0;
+      lastEnding[index] = Math.max(following, ...endings[index]);
+    }
+  }
+
+  const segnoIndex = marks.findIndex((mark) => mark.segno);
+  const hasToCoda = marks.some((mark) => mark.toCoda);
+  const findCodaAfter = (index) => marks.findIndex((mark, codaIndex) => codaIndex > index && mark.coda);
+
+  const order = [];
+  // Malformed jumps could loop forever; no real score plays any measure this many times.
+  const maxLength = count * 32;
+  let index = 0;
+  let repeatStart = 0;
+  let pass = 1;
+  let returning = false;
+  let leavingRepeat = false;
+  let jumped = false;
+
+  while (index < count && order.length < maxLength) {
+    const mark = marks[index];
+    // The first measure past a finished repeat or its voltas starts the next repeatable section.
+    if (!returning && (mark.repeatForward || (leavingRepeat && !endings[index]))) {
+      repeatStart = index;
+      pass = 1;
+      leavingRepeat = false;
+    }
+    returning = false;
+    if (endings[index]) {
+      leavingRepeat = true;
+    }
+
+    const volta = jumped ? lastEnding[index] : pass;
+    if (endings[index] && !endings[index].includes(volta)) {
+      index += 1;
+      continue;
+    }
+
+    order.push(index);
+
+    if (jumped && mark.fine) {
+      break;
+    }
+    const codaIndex = jumped && (mark.toCoda || (!hasToCoda && mark.coda)) ? findCodaAfter(index) : -1;
+    if (codaIndex >= 0) {
+      index = codaIndex;
+      continue;
+    }
+    if (!jumped && mark.repeatBackward) {
+      if (pass < mark.repeatBackward) {
+        pass += 1;
+        index = repeatStart;
+        returning = true;
+        leavingRepeat = false;
+        continue;
+      }
+      leavingRepeat = true;
+    }
+    if (!jumped && (mark.daCapo || (mark.dalSegno && segnoIndex >= 0))) {
+      jumped = true;
+      index = mark.daCapo ? 0 : segnoIndex;
+      continue;
+    }
+    index += 1;
+  }
+  return order;
+}
+
+function parsePartEvents(partChildren, defaultVelocity, tempoMarks, measureOrder, speeds) {
   const state = {
     currentBeat: 0,
     lastChordStartBeat: 0,
+    graceShiftBeats: 0,
     divisions: 1,
     transposeSemitone: 0,
+    keyFifths: 0,
     octaveShiftMap: new Map(),
     openTies: new Map(),
-    velocity: defaultVelocity,
+    dynamicMarks: [],
+    wedges: [],
+    openWedges: new Map(),
+    pendingGraces: new Map(),
+    tremoloStarts: new Map(),
   };
 
   const events = [];
+  const measureNodes = ensureArray(partChildren).filter((node) => node && typeof node === "object" && node.measure);
+  const playback = measureOrder
+    ? measureOrder.map((index) => measureNodes[index]).filter(Boolean)
+    : measureNodes;
 
-  for (const measureNode of ensureArray(partChildren)) {
-    if (!measureNode || typeof measureNode !== "object" || !measureNode.measure) {
-      continue;
-    }
-
+  for (const measureNode of playback) {
     for (const measureChild of ensureArray(measureNode.measure)) {
       if (!measureChild || typeof measureChild !== "object") {
         continue;
@@ -428,6 +1115,10 @@ function parsePartEvents(partChildren, defaultVelocity, tempoMarks) {
           state.divisions = divisions;
         }
         state.transposeSemitone = parseTransposeFromAttributes(measureChild.attributes) || 0;
+        const keyNode = getFirstChild(measureChild.attributes, "key");
+        if (keyNode) {
+          state.keyFifths = readNumeric(getFirstChild(keyNode, "fifths"), state.keyFifths);
+        }
         continue;
       }
 
@@ -441,6 +1132,12 @@ function parsePartEvents(partChildren, defaultVelocity, tempoMarks) {
           });
         }
         applyOctaveShiftDirection(state, directionChildren);
+        applyDynamicsDirection(state, directionChildren);
+        continue;
+      }
+
+      if (measureChild.sound) {
+        pushDynamicsMark(state, state.currentBeat, readSoundDynamics(measureChild[":@"]));
         continue;
       }
 
@@ -471,13 +1168,47 @@ function parsePartEvents(partChildren, defaultVelocity, tempoMarks) {
       const isChord = hasTag(noteChildren, "chord");
       const voice = readText(getFirstChild(noteChildren, "voice")).trim() || "1";
       const staff = readText(getFirstChild(noteChildren, "staff")).trim() || "1";
+      const voiceKey = `${voice}|${staff}`;
+
+      // Grace notes have no duration of their own; they wait for the next note of their voice.
+      const graceNode = noteChildren.find((node) => node && typeof node === "object" && node.grace);
+      if (graceNode) {
+        const midi = isRest ? null : parsePitchMidi(noteChildren, state, staff);
+        const graces = state.pendingGraces.get(voiceKey) || [];
+        if (midi !== null && isChord && graces.length > 0) {
+          graces[graces.length - 1].midis.push(midi);
+        } else if (midi !== null) {
+          const attrs = graceNode[":@"] || {};
+          graces.push({ midis: [midi], stealPercent: Number.parseFloat(attrs["@_steal-time-following"]) });
+        }
+        state.pendingGraces.set(voiceKey, graces);
+        continue;
+      }
+
       const durationDiv = readNumeric(getFirstChild(noteChildren, "duration"), 0);
       const durationBeats = durationDiv > 0 && state.divisions > 0 ? durationDiv / state.divisions : 0;
       const startBeat = isChord ? state.lastChordStartBeat : state.currentBeat;
 
       if (!isChord) {
         state.lastChordStartBeat = startBeat;
+        const graces = state.pendingGraces.get(voiceKey);
+        state.pendingGraces.delete(voiceKey);
+        state.graceShiftBeats = graces && graces.length > 0 && durationBeats > 0
+          ? placeGraceNotes(graces, startBeat, durationBeats, speeds.graceBeats, events)
+          : 0;
       }
+      // Every note of a chord starts after the grace notes in front of it.
+      const soundStartBeat = startBeat + state.graceShiftBeats;
+      const soundBeats = durationBeats - state.graceShiftBeats;
+
+      const notations = readNoteNotations(noteChildren);
+      pushDynamicsMark(state, startBeat, notations.dynamics);
+      // Articulations shorten only the written note they sit on, so a staccato at the end of a tie cuts the tail.
+      const articulation = {
+        accent: notations.accent,
+        cutBeats: soundBeats * (1 - notations.lengthFactor),
+        ornament: null,
+      };
 
       const tieTypes = extractTieTypes(noteChildren);
       const hasTieStart = tieTypes.includes("start");
@@ -485,12 +1216,33 @@ function parsePartEvents(partChildren, defaultVelocity, tempoMarks) {
 
       if (!isRest) {
         const midi = parsePitchMidi(noteChildren, state, staff);
-        if (midi !== null && durationBeats > 0) {
+        const tremolo = notations.tremolo;
+        const tremoloStart = tremolo && tremolo.type === "stop" ? state.tremoloStarts.get(voiceKey) : null;
+        if (midi !== null && soundBeats > 0) {
+          articulation.ornament = resolveOrnament(notations, midi, readWrittenPitch(noteChildren), state, speeds);
+        }
+        if (midi !== null && soundBeats > 0 && tremolo && tremolo.type === "start") {
+          // A two-note tremolo sounds once both of its notes are known.
+          if (!state.tremoloStarts.has(voiceKey)) {
+            state.tremoloStarts.set(voiceKey, { midi, startBeat: soundStartBeat, marks: tremolo.marks });
+          }
+        } else if (midi !== null && tremoloStart) {
+          state.tremoloStarts.delete(voiceKey);
+          events.push({
+            midi: tremoloStart.midi,
+            startBeat: tremoloStart.startBeat,
+            durationBeats: startBeat + durationBeats - tremoloStart.startBeat,
+            accent: articulation.accent,
+            cutBeats: 0,
+            ornament: { pitches: [tremoloStart.midi, midi], stepBeats: getTremoloBeats(tremoloStart.marks), fill: true },
+          });
+        } else if (midi !== null && soundBeats > 0) {
           const tieKey = `${voice}|${staff}|${midi}`;
           if (hasTieStop) {
             const openTie = state.openTies.get(tieKey);
             if (openTie) {
-              openTie.durationBeats += durationBeats;
+              openTie.durationBeats += soundBeats;
+              openTie.cutBeats = articulation.cutBeats;
               if (hasTieStart) {
                 state.openTies.set(tieKey, openTie);
               } else {
@@ -498,38 +1250,40 @@ function parsePartEvents(partChildren, defaultVelocity, tempoMarks) {
                   midi: openTie.midi,
                   startBeat: openTie.startBeat,
                   durationBeats: openTie.durationBeats,
-                  velocity: openTie.velocity,
+                  accent: openTie.accent,
+                  cutBeats: openTie.cutBeats,
+                  ornament: openTie.ornament,
                 });
                 state.openTies.delete(tieKey);
               }
             } else if (hasTieStart) {
               state.openTies.set(tieKey, {
                 midi,
-                startBeat,
-                durationBeats,
-                velocity: state.velocity,
+                startBeat: soundStartBeat,
+                durationBeats: soundBeats,
+                ...articulation,
               });
             } else {
               events.push({
                 midi,
-                startBeat,
-                durationBeats,
-                velocity: state.velocity,
+                startBeat: soundStartBeat,
+                durationBeats: soundBeats,
+                ...articulation,
               });
             }
           } else if (hasTieStart) {
             state.openTies.set(tieKey, {
               midi,
-              startBeat,
-              durationBeats,
-              velocity: state.velocity,
+              startBeat: soundStartBeat,
+              durationBeats: soundBeats,
+              ...articulation,
             });
           } else {
             events.push({
               midi,
-              startBeat,
-              durationBeats,
-              velocity: state.velocity,
+              startBeat: soundStartBeat,
+              durationBeats: soundBeats,
+              ...articulation,
             });
           }
         }
@@ -543,9 +1297,21 @@ function parsePartEvents(partChildren, defaultVelocity, tempoMarks) {
 
   flushOpenTies(state, events);
 
-  return events
+  const velocityAt = buildVelocityTimeline(state, defaultVelocity);
+  const played = events
     .filter((event) => Number.isFinite(event.startBeat) && Number.isFinite(event.durationBeats) && event.durationBeats > 0)
+    .flatMap((event) => {
+      const played = {
+        midi: event.midi,
+        startBeat: event.startBeat,
+        durationBeats: Math.max(event.durationBeats - event.cutBeats, event.durationBeats * 0.1),
+        velocity: clamp(velocityAt(event.startBeat) + event.accent, 0.05, 1),
+      };
+      return event.ornament ? expandOrnament(played, event.ornament) : [played];
+    })
     .sort((a, b) => a.startBeat - b.startBeat || a.midi - b.midi);
+  const endBeat = played.reduce((max, event) => Math.max(max, event.startBeat + event.durationBeats), state.currentBeat);
+  return { events: played, endBeat };
 }
 
 function normalizeTempoMarks(tempoMarks, ppq, fallbackBpm) {
@@ -577,7 +1343,7 @@ function normalizeTempoMarks(tempoMarks, ppq, fallbackBpm) {
   return dedup;
 }
 
-function buildMidiFromMusicXml(xmlText, options = {}) {
+function readScoreParts(xmlText, options, speeds) {
   const parser = new XMLParser(XML_PARSER_OPTIONS);
   const orderedParser = new XMLParser(ORDERED_XML_PARSER_OPTIONS);
   const parsed = parser.parse(xmlText);
@@ -586,7 +1352,7 @@ function buildMidiFromMusicXml(xmlText, options = {}) {
   const scorePartwise = getScorePartwiseObject(parsed);
   const scoreOrdered = getScorePartwiseOrderedNodes(ordered);
   if (!scorePartwise || !scoreOrdered) {
-    throw new Error("只支援 score-partwise 的 MusicXML。");
+    throw new Error("只支援 score-partwise 或 score-timewise 的 MusicXML。");
   }
 
   const partNameMap = buildPartNameMap(scorePartwise);
@@ -595,35 +1361,74 @@ function buildMidiFromMusicXml(xmlText, options = {}) {
     throw new Error("MusicXML 沒有可轉換的 part。");
   }
 
+  const tempoMarks = [];
+  const measureOrder = options.repeats === false ? null : buildPlaybackOrder(partNodes);
+  let endBeat = 0;
+  const parts = partNodes.map((partNode, i) => {
+    const attrs = partNode[":@"] || {};
+    const partId = attrs["@_id"] || `P${i + 1}`;
+    const part = parsePartEvents(partNode.part, 0.72, tempoMarks, measureOrder, speeds);
+    endBeat = Math.max(endBeat, part.endBeat);
+    const partName = partNameMap.get(partId);
+    // Keep the part id in the track name so `mid-to-chord --melody-part P1` can still find it.
+    const name = partName && partName !== String(partId) ? `${partName} [${partId}]` : String(partId);
+    return { name, events: part.events };
+  });
+  return { parts, tempoMarks, endBeat };
+}
+
+/**
+ * Builds a MIDI file from one MusicXML score, or from an array of movements played back to back. Across movements,
+ * parts with the same name continue on the same track.
+ */
+function buildMidiFromMusicXml(xmlText, options = {}) {
   const midi = new Midi();
   const ppq = midi.header.ppq || 480;
   const fallbackBpm = Number.isFinite(options.tempo) ? options.tempo : 120;
   const tempoMarks = [];
-
-  for (let i = 0; i < partNodes.length; i += 1) {
-    const partNode = partNodes[i];
-    const attrs = partNode[":@"] || {};
-    const partId = attrs["@_id"] || `P${i + 1}`;
-    const partName = partNameMap.get(partId) || String(partId);
-    const partChildren = partNode.part;
-    const events = parsePartEvents(partChildren, 0.72, tempoMarks);
-    if (events.length === 0) {
-      continue;
+  const speeds = {
+    ornamentBeats: 4 / (Number.isFinite(options.ornamentSpeed) ? options.ornamentSpeed : DEFAULT_ORNAMENT_SPEED),
+    graceBeats: 4 / (Number.isFinite(options.graceSpeed) ? options.graceSpeed : DEFAULT_GRACE_SPEED),
+  };
+  const tracks = [];
+  let offsetBeat = 0;
+
+  ensureArray(xmlText).forEach((movementText, movementIndex) => {
+    const score = readScoreParts(movementText, options, speeds);
+    // A later movement without its own opening tempo starts over at the fallback, like a separate file would.
+    if (movementIndex > 0 && !score.tempoMarks.some((mark) => mark.beat <= 0)) {
+      tempoMarks.push({ beat: offsetBeat, bpm: fallbackBpm });
+    }
+    for (const mark of score.tempoMarks) {
+      tempoMarks.push({ beat: mark.beat + offsetBeat, bpm: mark.bpm });
     }
 
-    const track = midi.addTrack();
-    track.name = partName;
-    for (const event of events) {
-      const ticks = Math.max(0, Math.round(event.startBeat * ppq));
-      const durationTicks = Math.max(1, Math.round(event.durationBeats * ppq));
-      track.addNote({
-        midi: clamp(Math.round(event.midi), 0, 127),
-        ticks,
-        durationTicks,
-        velocity: clamp(Number(event.velocity) || 0.72, 0.05, 1),
-      });
+    for (const part of score.parts) {
+      if (part.events.length === 0) {
+        continue;
+      }
+
+      let entry = tracks.find((item) => item.name === part.name && item.movementIndex < movementIndex);
+      if (!entry) {
+        entry = { name: part.name, track: midi.addTrack() };
+        entry.track.name = part.name;
+        tracks.push(entry);
+      }
+      entry.movementIndex = movementIndex;
+
+      for (const event of part.events) {
+        const ticks = Math.max(0, Math.round((event.startBeat + offsetBeat) * ppq));
+        const durationTicks = Math.max(1, Math.round(event.durationBeats * ppq));
+        entry.track.addNote({
+          midi: clamp(Math.round(event.midi), 0, 127),
+          ticks,
+          durationTicks,
+          velocity: clamp(Number(event.velocity) || 0.72, 0.05, 1),
+        });
+      }
     }
-  }
+    offsetBeat += score.endBeat;
+  });
 
   if (midi.tracks.length === 0) {
     throw new Error("MusicXML 沒有可用音符。");
@@ -638,10 +1443,45 @@ function buildMidiFromMusicXml(xmlText, options = {}) {
   return Buffer.from(midi.toArray());
 }
 
+function selectMovements(movements, selection) {
+  if (selection === "all") {
+    return movements;
+  }
+  const number = Number.isInteger(selection) ? selection : 1;
+  if (number < 1 || number > movements.length) {
+    throw new Error(`找不到第 ${number} 個樂章（共 ${movements.length} 個）。`);
+  }
+  return [movements[number - 1]];
+}
+
 function convertMxlToMidi(inputPath, outputPath, options = {}) {
-  const xmlText = readMusicXmlText(inputPath);
-  const bytes = buildMidiFromMusicXml(xmlText, options);
+  const movements = readMusicXmlMovements(inputPath);
+  const selected = selectMovements(movements, options.movement);
+  const bytes = buildMidiFromMusicXml(selected.map((movement) => movement.xmlText), options);
   fs.writeFileSync(outputPath, bytes);
+  return {
+    movements: movements.map((movement) => movement.title),
+    selected: selected.map((movement) => movements.indexOf(movement) + 1),
+  };
+}
+
+function parseNoteValue(raw) {
+  const value = Number.parseInt(raw || "", 10);
+  if (!/^\d+$/.test(String(raw || "")) || value < 1 || value > 128) {
+    throw new Error(`Invalid note value: ${raw}`);
+  }
+  return value;
+}
+
+function parseMovementValue(raw) {
+  const text = String(raw || "").trim().toLowerCase();
+  if (text === "all") {
+    return "all";
+  }
+  if (!/^\d+$/.test(text) || Number.parseInt(text, 10) < 1) {
+    throw new Error(`Invalid movement value: ${raw}`);
+  }
+  return Number.parseInt(text, 10);
 }
 
 function parseArgs(argv) {
@@ -650,6 +1490,10 @@ function parseArgs(argv) {
     input: null,
     output: null,
     tempo: 120,
+    repeats: true,
+    ornamentSpeed: DEFAULT_ORNAMENT_SPEED,
+    graceSpeed: DEFAULT_GRACE_SPEED,
+    movement: null,
     help: false,
   };
 
@@ -681,6 +1525,28 @@ function parseArgs(argv) {
       continue;
     }
 
+    if (arg === "--no-repeats") {
+      parsed.repeats = false;
+      continue;
+    }
+
+    if (arg === "--movement") {
+      parsed.movement = parseMovementValue(args[i + 1]);
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--ornament-speed" || arg === "--grace-speed") {
+      const speed = parseNoteValue(args[i + 1]);
+      if (arg === "--ornament-speed") {
+        parsed.ornamentSpeed = speed;
+      } else {
+        parsed.graceSpeed = speed;
+      }
+      i += 1;
+      continue;
+    }
+
     if (arg.startsWith("-")) {
       throw new Error(`Unknown option: ${arg}`);
     }
@@ -714,6 +1580,10 @@ function printHelp() {
       "",
       "Options:",
       "  --tempo <int>   fallback tempo when score has no tempo mark (default: 120)",
+      "  --no-repeats    keep measures in written order (do not expand repeats, voltas, D.C./D.S./Coda)",
+      `  --ornament-speed <n>  note value of trill/mordent/turn notes, e.g. 16 or 32 (default: ${DEFAULT_ORNAMENT_SPEED})`,
+      `  --grace-speed <n>     note value of grace notes (default: ${DEFAULT_GRACE_SPEED})`,
+      "  --movement <n|all>    movement of an opus or multi-rootfile .mxl to convert; all joins them (default: 1)",
     ].join("\n"),
   );
 }
@@ -743,9 +1613,14 @@ function main() {
     return;
   }
 
+  let result;
   try {
-    convertMxlToMidi(inputPath, outputPath, {
+    result = convertMxlToMidi(inputPath, outputPath, {
       tempo: parsed.tempo,
+      repeats: parsed.repeats,
+      ornamentSpeed: parsed.ornamentSpeed,
+      graceSpeed: parsed.graceSpeed,
+      movement: parsed.movement,
     });
   } catch (error) {
     console.error(`轉換失敗: ${error.message}`);
@@ -753,6 +1628,11 @@ function main() {
     return;
   }
 
+  if (result.movements.length > 1) {
+    const labels = result.selected.map((number) => `${number}. ${result.movements[number - 1]}`);
+    console.log(`樂章 (共 ${result.movements.length} 個): ${labels.join(" + ")}`);
+  }
+
   console.log(`完成: ${outputPath}`);
 }
 
@@ -762,5 +1642,6 @@ if (require.main === module) {
 
 module.exports = {
   buildMidiFromMusicXml,
+  buildPlaybackOrder,
   convertMxlToMidi,
 };
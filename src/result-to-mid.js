@@ -3,10 +3,14 @@
 const fs = require("fs");
 const path = require("path");
 const { Midi } = require("@tonejs/midi");
+const { BUILTIN_PROFILES, DEFAULT_PROFILE_NAME, DRUM_PART, findTrackRole, readPartLayout } = require("./mml-profiles.js");
+const { parseInstrumentSpec, readInstrumentMeta, resolveProgram } = require("./instruments.js");
 
 const DEFAULT_INPUT = "Result.md";
 const DEFAULT_OUTPUT = "Result.mid";
 
+const PERCUSSION_CHANNEL = 9;
+
 const NOTE_TO_SEMITONE = {
   c: 0,
   d: 2,
@@ -27,6 +31,7 @@ function parseArgs(argv) {
     input: null,
     output: null,
     bpm: null,
+    instruments: {},
     help: false,
   };
 
@@ -61,6 +66,12 @@ function parseArgs(argv) {
       continue;
     }
 
+    if (arg === "--instrument") {
+      parsed.instruments = { ...parsed.instruments, ...parseInstrumentSpec(args[i + 1]) };
+      i += 1;
+      continue;
+    }
+
     if (arg.startsWith("-")) {
       throw new Error(`Unknown option: ${arg}`);
     }
@@ -86,26 +97,66 @@ function printHelp() {
       "  node src/result-to-mid.js [Result.md] [Result.mid]",
       "  node src/result-to-mid.js -i Result.md -o Result.mid",
       "  node src/result-to-mid.js -i Result.md -o Result.mid --bpm 200",
+      "  node src/result-to-mid.js --instrument melody=flute,chord1=lute,chord2=bass",
       "",
       "Default input/output:",
       "  Input : Result.md",
       "  Output: Result.mid",
       "",
       "Options:",
-      "  -b, --bpm N   Override output MIDI tempo",
+      "  -b, --bpm N          Override output MIDI tempo",
+      "  --instrument R=I     GM program per part from an in-game instrument name or program number",
+      "                       (overrides #META instruments=; repeatable)",
     ].join("\n"),
   );
 }
 
-function splitMmlParts(raw) {
-  const parts = raw.split(",");
-  if (parts.length < 3) {
-    throw new Error("MML@ 內容格式錯誤，必須包含 3 個聲部（melody,chord1,chord2）。");
+function resolvePartLayout(metadata) {
+  const customParts = readPartLayout(metadata.parts);
+  const profileName = typeof metadata.profile === "string" ? metadata.profile.toLowerCase() : DEFAULT_PROFILE_NAME;
+  const profile = customParts
+    ? { parts: customParts }
+    : (Object.prototype.hasOwnProperty.call(BUILTIN_PROFILES, profileName) ? BUILTIN_PROFILES[profileName] : null);
+  if (!profile) {
+    return null;
+  }
+  const trackNames = profile.parts.map((part) => part.trackName);
+  return metadata.drums === "part" ? trackNames.concat(DRUM_PART.trackName) : trackNames;
+}
+
+function resolveDrumPartIndex(metadata, trackNames) {
+  if (metadata.drums === "part") {
+    const index = trackNames.indexOf(DRUM_PART.trackName);
+    return index >= 0 ? index : trackNames.length - 1;
+  }
+  if (metadata.drums === "chord2") {
+    return trackNames.indexOf("Chord2");
+  }
+  return -1;
+}
+
+function resolvePartLabels(metadata) {
+  const customParts = readPartLayout(metadata.parts);
+  const profileName = typeof metadata.profile === "string" ? metadata.profile.toLowerCase() : DEFAULT_PROFILE_NAME;
+  let profiles = Object.values(BUILTIN_PROFILES);
+  if (customParts) {
+    profiles = [{ parts: customParts }];
+  } else if (Object.prototype.hasOwnProperty.call(BUILTIN_PROFILES, profileName)) {
+    profiles = [BUILTIN_PROFILES[profileName]];
+  }
+  const labels = profiles.flatMap((profile) => profile.parts.map((part) => part.label));
+  return Array.from(new Set(metadata.drums === "part" ? labels.concat(DRUM_PART.label) : labels));
+}
+
+function splitMmlParts(raw, expectedCount) {
+  const parts = raw.split(",").map((part) => part.trim());
+  if (!expectedCount) {
+    return parts;
+  }
+  if (parts.length < expectedCount) {
+    throw new Error(`MML@ 內容格式錯誤，必須包含 ${expectedCount} 個聲部。`);
   }
-  const melody = parts[0].trim();
-  const chord1 = parts[1].trim();
-  const chord2 = parts.slice(2).join(",").trim();
-  return { melody, chord1, chord2 };
+  return parts.slice(0, expectedCount - 1).concat(parts.slice(expectedCount - 1).join(","));
 }
 
 function parseMetadata(markdown) {
@@ -131,6 +182,7 @@ function parseMetadata(markdown) {
 
 function extractSegmentsFromMarkdown(markdown) {
   const metadata = parseMetadata(markdown);
+  const partLayout = resolvePartLayout(metadata);
   const segments = [];
 
   const mmlPattern = /MML@([\s\S]*?);/g;
@@ -149,7 +201,7 @@ function extractSegmentsFromMarkdown(markdown) {
       : null;
 
     segments.push({
-      ...splitMmlParts(raw),
+      parts: splitMmlParts(raw, partLayout ? partLayout.length : 0),
       segmentTicks: Number.isInteger(segmentTicks) && segmentTicks > 0 ? segmentTicks : null,
     });
     previousEnd = match.index + match[0].length;
@@ -164,14 +216,23 @@ function extractSegmentsFromMarkdown(markdown) {
     };
   }
 
-  const blockPattern = /主音Melody:\s*\d+\s*\r?\n([^\r\n]*)\s*\r?\n和弦Chord1:\s*\d+\s*\r?\n([^\r\n]*)\s*\r?\n和弦Chord2:\s*\d+\s*\r?\n([^\r\n]*)/g;
+  const labels = resolvePartLabels(metadata);
+  const blockPattern = new RegExp(
+    `(${labels.map((label) => label.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")).join("|")}):\\s*\\d+\\s*\\r?\\n([^\\r\\n]*)`,
+    "g",
+  );
+  let currentLabels = null;
   while ((match = blockPattern.exec(markdown)) !== null) {
-    segments.push({
-      melody: match[1].trim(),
-      chord1: match[2].trim(),
-      chord2: match[3].trim(),
-      segmentTicks: null,
-    });
+    // A repeated label starts the next score block.
+    if (!currentLabels || currentLabels.has(match[1])) {
+      currentLabels = new Set();
+      segments.push({
+        parts: [],
+        segmentTicks: null,
+      });
+    }
+    currentLabels.add(match[1]);
+    segments[segments.length - 1].parts.push(match[2].trim());
   }
 
   if (segments.length > 0) {
@@ -184,7 +245,7 @@ function extractSegmentsFromMarkdown(markdown) {
     };
   }
 
-  throw new Error("找不到可解析的樂譜內容。請確認 Result.md 內有 MML@...; 或主音/和弦三段格式。");
+  throw new Error("找不到可解析的樂譜內容。請確認 Result.md 內有 MML@...; 或主音/和弦分段格式。");
 }
 
 function readInteger(text, state) {
@@ -515,7 +576,14 @@ function normalizeTempoChanges(tempoChanges, ppq) {
   return deduped;
 }
 
-function buildMidiFromSegments(payload, options = {}) {
+function resolveInstruments(metadata, options = {}) {
+  return {
+    ...readInstrumentMeta(metadata.instruments),
+    ...options.instruments,
+  };
+}
+
+function createMidiFromSegments(payload, options = {}) {
   const segments = payload.segments;
   const metadata = payload.metadata || {};
   const forcedBpm = Number.isFinite(options.bpm) ? clamp(Math.round(options.bpm), 20, 400) : null;
@@ -524,37 +592,29 @@ function buildMidiFromSegments(payload, options = {}) {
   const midi = new Midi();
   const ppq = midi.header.ppq || 480;
 
+  const partCount = segments.reduce((max, segment) => Math.max(max, segment.parts.length), 0);
+  const layout = resolvePartLayout(metadata) || [];
+  const trackNames = Array.from({ length: partCount }, (_, index) => layout[index] || `Part${index + 1}`);
+  const drumPartIndex = resolveDrumPartIndex(metadata, trackNames);
+  const instruments = resolveInstruments(metadata, options);
+  const createTracks = (suffix) => trackNames.map((name, index) => {
+    const track = midi.addTrack();
+    track.name = `${name}${suffix}`;
+    if (index === drumPartIndex) {
+      track.channel = PERCUSSION_CHANNEL;
+      return track;
+    }
+    // Programs are per channel, so every part gets its own; parallel copies of a part share it.
+    track.channel = index < PERCUSSION_CHANNEL ? index : index + 1;
+    const program = resolveProgram(instruments[findTrackRole(name)]);
+    if (program !== null) {
+      track.instrument.number = program;
+    }
+    return track;
+  });
   const segmentTracks = parallelMode
-    ? segments.map((_, index) => {
-      const melodyTrack = midi.addTrack();
-      melodyTrack.name = `Melody-${index + 1}`;
-      const chord1Track = midi.addTrack();
-      chord1Track.name = `Chord1-${index + 1}`;
-      const chord2Track = midi.addTrack();
-      chord2Track.name = `Chord2-${index + 1}`;
-      return {
-        melodyTrack,
-        chord1Track,
-        chord2Track,
-      };
-    })
-    : [{
-      melodyTrack: (() => {
-        const track = midi.addTrack();
-        track.name = "Melody";
-        return track;
-      })(),
-      chord1Track: (() => {
-        const track = midi.addTrack();
-        track.name = "Chord1";
-        return track;
-      })(),
-      chord2Track: (() => {
-        const track = midi.addTrack();
-        track.name = "Chord2";
-        return track;
-      })(),
-    }];
+    ? segments.map((_, index) => createTracks(`-${index + 1}`))
+    : [createTracks("")];
 
   const tempoChanges = [];
   let tickOffset = 0;
@@ -563,39 +623,27 @@ function buildMidiFromSegments(payload, options = {}) {
   for (let segmentIndex = 0; segmentIndex < segments.length; segmentIndex += 1) {
     const segment = segments[segmentIndex];
     const tracks = parallelMode ? segmentTracks[segmentIndex] : segmentTracks[0];
-    const melody = parseMml(segment.melody);
-    const chord1 = parseMml(segment.chord1);
-    const chord2 = parseMml(segment.chord2);
+    const parsedParts = segment.parts.map((text) => parseMml(text));
 
     const producedTicks = Math.max(
       1,
-      Math.round(Math.max(melody.totalBeats, chord1.totalBeats, chord2.totalBeats, 0) * ppq),
+      Math.round(Math.max(...parsedParts.map((part) => part.totalBeats), 0) * ppq),
     );
     const segmentTicks = Number.isInteger(segment.segmentTicks) && segment.segmentTicks > 0
       ? segment.segmentTicks
       : producedTicks;
     const baseTick = parallelMode ? 0 : tickOffset;
 
-    addEventsToTrack(tracks.melodyTrack, melody.events, baseTick, ppq, segmentTicks);
-    addEventsToTrack(tracks.chord1Track, chord1.events, baseTick, ppq, segmentTicks);
-    addEventsToTrack(tracks.chord2Track, chord2.events, baseTick, ppq, segmentTicks);
+    parsedParts.forEach((part, partIndex) => {
+      addEventsToTrack(tracks[partIndex], part.events, baseTick, ppq, segmentTicks);
+    });
 
-    for (const tempo of melody.tempoChanges) {
-      const tempoTick = baseTick + Math.round(tempo.beat * ppq);
-      if (tempoTick <= baseTick + segmentTicks) {
-        tempoChanges.push({ beat: tempoTick / ppq, bpm: tempo.bpm });
-      }
-    }
-    for (const tempo of chord1.tempoChanges) {
-      const tempoTick = baseTick + Math.round(tempo.beat * ppq);
-      if (tempoTick <= baseTick + segmentTicks) {
-        tempoChanges.push({ beat: tempoTick / ppq, bpm: tempo.bpm });
-      }
-    }
-    for (const tempo of chord2.tempoChanges) {
-      const tempoTick = baseTick + Math.round(tempo.beat * ppq);
-      if (tempoTick <= baseTick + segmentTicks) {
-        tempoChanges.push({ beat: tempoTick / ppq, bpm: tempo.bpm });
+    for (const part of parsedParts) {
+      for (const tempo of part.tempoChanges) {
+        const tempoTick = baseTick + Math.round(tempo.beat * ppq);
+        if (tempoTick <= baseTick + segmentTicks) {
+          tempoChanges.push({ beat: tempoTick / ppq, bpm: tempo.bpm });
+        }
       }
     }
 
@@ -621,9 +669,7 @@ function buildMidiFromSegments(payload, options = {}) {
       track.notes.push(...nextNotes);
     };
     for (const tracks of segmentTracks) {
-      clampTrack(tracks.melodyTrack);
-      clampTrack(tracks.chord1Track);
-      clampTrack(tracks.chord2Track);
+      tracks.forEach(clampTrack);
     }
   }
 
@@ -631,7 +677,7 @@ function buildMidiFromSegments(payload, options = {}) {
     ? metadata.totalTicks
     : (parallelMode ? maxEndTick : tickOffset);
   for (const tracks of segmentTracks) {
-    for (const track of [tracks.melodyTrack, tracks.chord1Track, tracks.chord2Track]) {
+    for (const track of tracks) {
       track.addCC({
         number: 123,
         value: 0,
@@ -644,8 +690,13 @@ function buildMidiFromSegments(payload, options = {}) {
     ? [{ ticks: 0, bpm: forcedBpm }]
     : normalizeTempoChanges(tempoChanges, ppq);
   midi.header.tempos.push(...normalizedTempos);
+  midi.header.update();
 
-  return midi.toArray();
+  return midi;
+}
+
+function buildMidiFromSegments(payload, options = {}) {
+  return createMidiFromSegments(payload, options).toArray();
 }
 
 function convertResultToMidi(inputPath, outputPath, options = {}) {
@@ -653,6 +704,7 @@ function convertResultToMidi(inputPath, outputPath, options = {}) {
   const payload = extractSegmentsFromMarkdown(markdown);
   const bytes = buildMidiFromSegments(payload, options);
   fs.writeFileSync(outputPath, Buffer.from(bytes));
+  return { instruments: resolveInstruments(payload.metadata || {}, options) };
 }
 
 function main() {
@@ -680,9 +732,11 @@ function main() {
     return;
   }
 
+  let converted;
   try {
-    convertResultToMidi(inputPath, outputPath, {
+    converted = convertResultToMidi(inputPath, outputPath, {
       bpm: parsed.bpm,
+      instruments: parsed.instruments,
     });
   } catch (error) {
     console.error(`轉換失敗: ${error.message}`);
@@ -694,8 +748,23 @@ function main() {
   if (parsed.bpm) {
     console.log(`BPM 覆蓋: ${parsed.bpm}`);
   }
+  const instrumentList = Object.entries(converted.instruments)
+    .map(([role, name]) => `${role}=${name}(${resolveProgram(name)})`);
+  if (instrumentList.length > 0) {
+    console.log(`樂器: ${instrumentList.join(" ")}`);
+  }
 }
 
 if (require.main === module) {
   main();
 }
+
+module.exports = {
+  buildMidiFromSegments,
+  createMidiFromSegments,
+  convertResultToMidi,
+  extractSegmentsFromMarkdown,
+  parseMetadata,
+  parseMml,
+  resolvePartLayout,
+};
@@ -0,0 +1,399 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const path = require("path");
+const { PART_ROLES, findTrackRole } = require("./mml-profiles.js");
+const { createMidiFromSegments, extractSegmentsFromMarkdown } = require("./result-to-mid.js");
+
+const DEFAULT_INPUT = "Result.md";
+const DEFAULT_OUTPUT = "Result.wav";
+
+const DEFAULT_SAMPLE_RATE = 44100;
+
+const PERCUSSION_CHANNEL = 9;
+
+const WAVEFORMS = ["square", "triangle", "saw", "sine", "noise"];
+
+// Raw oscillators differ a lot in loudness; these bring them roughly level before the part volume applies.
+const WAVEFORM_GAIN = {
+  square: 0.45,
+  triangle: 1,
+  saw: 0.55,
+  sine: 1,
+  noise: 0.5,
+};
+
+const DEFAULT_VOICES = {
+  melody: { wave: "square", pan: 0, volume: 0.8 },
+  chord1: { wave: "saw", pan: -0.35, volume: 0.5 },
+  chord2: { wave: "triangle", pan: 0.35, volume: 0.6 },
+  drums: { wave: "noise", pan: 0, volume: 0.6 },
+};
+
+const ATTACK_SECONDS = 0.004;
+const RELEASE_SECONDS = 0.03;
+const NOISE_DECAY_SECONDS = 0.12;
+
+// Peak level the mix is scaled down to when the parts add up past full scale.
+const PEAK_LIMIT = 0.98;
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+function parseVoiceOption(spec, label, parseValue) {
+  const match = String(spec || "").match(/^([a-z0-9]+)=(.+)$/i);
+  const role = match ? match[1].toLowerCase() : "";
+  const value = match ? parseValue(match[2].toLowerCase()) : null;
+  if (!PART_ROLES.includes(role) || value === null) {
+    throw new Error(`Invalid ${label} value: ${spec}`);
+  }
+  return { role, value };
+}
+
+function parseNumberInRange(min, max) {
+  return (text) => {
+    const value = Number.parseFloat(text);
+    return Number.isFinite(value) && value >= min && value <= max ? value : null;
+  };
+}
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const parsed = {
+    input: null,
+    output: null,
+    bpm: null,
+    sampleRate: DEFAULT_SAMPLE_RATE,
+    voices: {},
+    help: false,
+  };
+  const setVoice = (option, key) => {
+    parsed.voices[option.role] = { ...parsed.voices[option.role], [key]: option.value };
+  };
+
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+
+    if (arg === "-h" || arg === "--help") {
+      parsed.help = true;
+      continue;
+    }
+
+    if (arg === "-i" || arg === "--input") {
+      parsed.input = args[i + 1] || null;
+      i += 1;
+      continue;
+    }
+
+    if (arg === "-o" || arg === "--output") {
+      parsed.output = args[i + 1] || null;
+      i += 1;
+      continue;
+    }
+
+    if (arg === "-b" || arg === "--bpm") {
+      const rawBpm = args[i + 1];
+      const bpm = Number.parseInt(rawBpm || "", 10);
+      if (!Number.isInteger(bpm) || bpm <= 0) {
+        throw new Error(`Invalid BPM value: ${rawBpm}`);
+      }
+      parsed.bpm = bpm;
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--sample-rate") {
+      const rawRate = args[i + 1];
+      const rate = Number.parseInt(rawRate || "", 10);
+      if (!Number.isInteger(rate) || rate < 8000 || rate > 192000) {
+        throw new Error(`Invalid sample rate: ${rawRate}`);
+      }
+      parsed.sampleRate = rate;
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--wave") {
+      setVoice(parseVoiceOption(args[i + 1], "wave", (text) => (WAVEFORMS.includes(text) ? text : null)), "wave");
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--pan") {
+      setVoice(parseVoiceOption(args[i + 1], "pan", parseNumberInRange(-1, 1)), "pan");
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--volume") {
+      setVoice(parseVoiceOption(args[i + 1], "volume", parseNumberInRange(0, 2)), "volume");
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("-")) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+
+    if (!parsed.input) {
+      parsed.input = arg;
+    } else if (!parsed.output) {
+      parsed.output = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  parsed.input = parsed.input || DEFAULT_INPUT;
+  parsed.output = parsed.output || DEFAULT_OUTPUT;
+  return parsed;
+}
+
+function printHelp() {
+  const defaults = Object.entries(DEFAULT_VOICES)
+    .map(([role, voice]) => `  ${role.padEnd(7)}${voice.wave.padEnd(9)}pan ${voice.pan}  volume ${voice.volume}`);
+  console.log(
+    [
+      "Usage:",
+      "  node src/result-to-wav.js [Result.md] [Result.wav]",
+      "  node src/result-to-wav.js -i Result.md -o Result.wav --wave chord1=triangle --pan melody=-0.2 --volume chord2=0.6",
+      "",
+      "Default input/output:",
+      "  Input : Result.md",
+      "  Output: Result.wav",
+      "",
+      "Options:",
+      "  -b, --bpm N         Override the tempo (ignore t commands)",
+      "  --sample-rate N     Output sample rate (default: 44100)",
+      `  --wave R=W          Part timbre: ${WAVEFORMS.join("|")} (repeatable)`,
+      "  --pan R=P           Part pan, -1 (left) .. 1 (right) (repeatable)",
+      "  --volume R=V        Part volume, 0 .. 2 (repeatable)",
+      "",
+      "Default parts (percussion-channel parts always use noise):",
+      ...defaults,
+    ].join("\n"),
+  );
+}
+
+function resolveVoices(overrides) {
+  const voices = {};
+  for (const role of PART_ROLES) {
+    voices[role] = { ...DEFAULT_VOICES[role], ...(overrides && overrides[role]) };
+  }
+  return voices;
+}
+
+function midiToFrequency(midi) {
+  return 440 * 2 ** ((midi - 69) / 12);
+}
+
+function createNoiseSource(seed) {
+  let state = seed >>> 0 || 1;
+  return () => {
+    // xorshift32: deterministic, so the same score always renders the same file.
+    state ^= state << 13;
+    state >>>= 0;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    state >>>= 0;
+    return state / 0x80000000 - 1;
+  };
+}
+
+function oscillate(wave, phase) {
+  if (wave === "square") {
+    return phase < 0.5 ? 1 : -1;
+  }
+  if (wave === "triangle") {
+    return phase < 0.5 ? phase * 4 - 1 : 3 - phase * 4;
+  }
+  if (wave === "saw") {
+    return phase * 2 - 1;
+  }
+  return Math.sin(phase * 2 * Math.PI);
+}
+
+function renderNote(channels, note, voice, sampleRate, noise) {
+  const start = Math.round(note.time * sampleRate);
+  const holdSamples = Math.max(1, Math.round(note.duration * sampleRate));
+  const attackSamples = Math.max(1, Math.round(ATTACK_SECONDS * sampleRate));
+  const releaseSamples = Math.max(1, Math.round(RELEASE_SECONDS * sampleRate));
+  const totalSamples = Math.min(holdSamples + releaseSamples, channels.left.length - start);
+  const amplitude = note.velocity * voice.volume * WAVEFORM_GAIN[voice.wave];
+  // Equal-power pan.
+  const angle = ((voice.pan + 1) * Math.PI) / 4;
+  const leftGain = amplitude * Math.cos(angle);
+  const rightGain = amplitude * Math.sin(angle);
+
+  const isNoise = voice.wave === "noise";
+  const phaseStep = midiToFrequency(note.midi) / sampleRate;
+  // Noise pitch: higher notes hold each random value for fewer samples, so cymbals hiss and kicks thump.
+  const holdEvery = isNoise ? Math.max(1, Math.round(1 / clamp((note.midi - 24) / 72, 0.04, 1))) : 0;
+  const decaySamples = NOISE_DECAY_SECONDS * sampleRate;
+
+  let phase = 0;
+  let held = 0;
+  for (let i = 0; i < totalSamples; i += 1) {
+    let envelope = i < attackSamples ? i / attackSamples : 1;
+    if (i >= holdSamples) {
+      envelope *= 1 - (i - holdSamples) / releaseSamples;
+    }
+    let sample;
+    if (isNoise) {
+      if (i % holdEvery === 0) {
+        held = noise();
+      }
+      sample = held * Math.exp(-i / decaySamples);
+    } else {
+      sample = oscillate(voice.wave, phase);
+      phase = (phase + phaseStep) % 1;
+    }
+    channels.left[start + i] += sample * envelope * leftGain;
+    channels.right[start + i] += sample * envelope * rightGain;
+  }
+}
+
+/**
+ * Mixes a MIDI built by `createMidiFromSegments` down to stereo samples. Every track is one part voice (found by track
+ * name, or drums on the percussion channel); note times already follow the score's `t` commands and velocities its
+ * `v` commands.
+ *
+ * @param {Midi} midi
+ * @param {object} [options]
+ * @param {number} [options.sampleRate=44100]
+ * @param {Object<string, {wave?: string, pan?: number, volume?: number}>} [options.voices] Per-role overrides.
+ * @returns {{ left: Float32Array, right: Float32Array, sampleRate: number, peak: number }}
+ */
+function renderMidiToSamples(midi, options = {}) {
+  const sampleRate = Number.isInteger(options.sampleRate) ? options.sampleRate : DEFAULT_SAMPLE_RATE;
+  const voices = resolveVoices(options.voices);
+  const tracks = midi.tracks.filter((track) => track.notes.length > 0);
+  // Clamped notes are plain objects without the time getters, so convert ticks through the header.
+  const toSeconds = (ticks) => midi.header.ticksToSeconds(ticks);
+  const timedTracks = tracks.map((track) => track.notes.map((note) => ({
+    midi: note.midi,
+    velocity: note.velocity,
+    time: toSeconds(note.ticks),
+    duration: toSeconds(note.ticks + note.durationTicks) - toSeconds(note.ticks),
+  })));
+  const endSeconds = timedTracks.reduce((max, notes) => notes.reduce(
+    (end, note) => Math.max(end, note.time + note.duration),
+    max,
+  ), 0);
+  const length = Math.max(1, Math.ceil((endSeconds + RELEASE_SECONDS) * sampleRate));
+  const channels = { left: new Float32Array(length), right: new Float32Array(length) };
+  const noise = createNoiseSource(0x2545f491);
+
+  tracks.forEach((track, index) => {
+    const percussion = track.channel === PERCUSSION_CHANNEL;
+    const role = findTrackRole(track.name) || (percussion ? "drums" : "melody");
+    const voice = percussion ? { ...voices[role], wave: "noise" } : voices[role];
+    for (const note of timedTracks[index]) {
+      renderNote(channels, note, voice, sampleRate, noise);
+    }
+  });
+
+  let peak = 0;
+  for (let i = 0; i < length; i += 1) {
+    peak = Math.max(peak, Math.abs(channels.left[i]), Math.abs(channels.right[i]));
+  }
+  if (peak > PEAK_LIMIT) {
+    const scale = PEAK_LIMIT / peak;
+    for (let i = 0; i < length; i += 1) {
+      channels.left[i] *= scale;
+      channels.right[i] *= scale;
+    }
+  }
+  return { ...channels, sampleRate, peak };
+}
+
+function encodeWav(samples) {
+  const frames = samples.left.length;
+  const dataBytes = frames * 4;
+  const buffer = Buffer.alloc(44 + dataBytes);
+  buffer.write("RIFF", 0, "ascii");
+  buffer.writeUInt32LE(36 + dataBytes, 4);
+  buffer.write("WAVE", 8, "ascii");
+  buffer.write("fmt ", 12, "ascii");
+  buffer.writeUInt32LE(16, 16);
+  buffer.writeUInt16LE(1, 20);
+  buffer.writeUInt16LE(2, 22);
+  buffer.writeUInt32LE(samples.sampleRate, 24);
+  buffer.writeUInt32LE(samples.sampleRate * 4, 28);
+  buffer.writeUInt16LE(4, 32);
+  buffer.writeUInt16LE(16, 34);
+  buffer.write("data", 36, "ascii");
+  buffer.writeUInt32LE(dataBytes, 40);
+  for (let i = 0; i < frames; i += 1) {
+    buffer.writeInt16LE(Math.round(clamp(samples.left[i], -1, 1) * 32767), 44 + i * 4);
+    buffer.writeInt16LE(Math.round(clamp(samples.right[i], -1, 1) * 32767), 46 + i * 4);
+  }
+  return buffer;
+}
+
+function convertResultToWav(inputPath, outputPath, options = {}) {
+  const markdown = fs.readFileSync(inputPath, "utf8");
+  const midi = createMidiFromSegments(extractSegmentsFromMarkdown(markdown), { bpm: options.bpm });
+  const samples = renderMidiToSamples(midi, options);
+  fs.writeFileSync(outputPath, encodeWav(samples));
+  return {
+    seconds: samples.left.length / samples.sampleRate,
+    peak: samples.peak,
+  };
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs(process.argv);
+  } catch (error) {
+    console.error(error.message);
+    printHelp();
+    process.exitCode = 1;
+    return;
+  }
+
+  if (parsed.help) {
+    printHelp();
+    return;
+  }
+
+  const inputPath = path.resolve(parsed.input);
+  const outputPath = path.resolve(parsed.output);
+
+  if (!fs.existsSync(inputPath)) {
+    console.error(`找不到檔案: ${inputPath}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  let rendered;
+  try {
+    rendered = convertResultToWav(inputPath, outputPath, {
+      bpm: parsed.bpm,
+      sampleRate: parsed.sampleRate,
+      voices: parsed.voices,
+    });
+  } catch (error) {
+    console.error(`轉換失敗: ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log(`完成: ${outputPath} (${rendered.seconds.toFixed(1)} 秒)`);
+  if (rendered.peak > PEAK_LIMIT) {
+    console.log(`混音峰值 ${rendered.peak.toFixed(2)}，已整體降低音量避免破音`);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  WAVEFORMS,
+  convertResultToWav,
+  encodeWav,
+  renderMidiToSamples,
+};
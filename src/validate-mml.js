@@ -0,0 +1,589 @@
+#!/usr/bin/env node
+
+const fs = require("fs");
+const path = require("path");
+const {
+  BUILTIN_PROFILES,
+  DEFAULT_PROFILE_NAME,
+  loadProfile,
+  readPartLayout,
+  resolveMetadataProfile,
+  validateMmlPart,
+  withDrumPart,
+} = require("./mml-profiles.js");
+const { parseInstrumentSpec } = require("./instruments.js");
+const { parseMetadata, parseMml } = require("./result-to-mid.js");
+
+const DEFAULT_INPUT = "Result.md";
+
+const DEFAULT_PPQ = 480;
+
+const NOTE_TO_SEMITONE = {
+  c: 0,
+  d: 2,
+  e: 4,
+  f: 5,
+  g: 7,
+  a: 9,
+  b: 11,
+};
+
+function parseArgs(argv) {
+  const args = argv.slice(2);
+  const parsed = {
+    input: null,
+    profile: null,
+    help: false,
+  };
+
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+
+    if (arg === "-h" || arg === "--help") {
+      parsed.help = true;
+      continue;
+    }
+
+    if (arg === "-i" || arg === "--input") {
+      parsed.input = args[i + 1] || null;
+      i += 1;
+      continue;
+    }
+
+    if (arg === "--profile") {
+      parsed.profile = args[i + 1] || null;
+      i += 1;
+      continue;
+    }
+
+    if (arg.startsWith("-")) {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+
+    if (!parsed.input) {
+      parsed.input = arg;
+    } else {
+      throw new Error(`Unexpected argument: ${arg}`);
+    }
+  }
+
+  parsed.input = parsed.input || DEFAULT_INPUT;
+  return parsed;
+}
+
+function printHelp() {
+  console.log(
+    [
+      "Usage:",
+      "  node src/validate-mml.js [Result.md]",
+      "  node src/validate-mml.js \"MML@t120l8cdefg,l4ceg,l2c;\"",
+      "  node src/validate-mml.js -i Result.md --profile my-player.json",
+      "",
+      "Default input:",
+      "  Input: Result.md",
+      "",
+      "Options:",
+      "  -i, --input   Score file or a raw MML@...; string",
+      "  --profile P   Profile name or JSON file (default: #META profile, else default)",
+      "",
+      "Exit code is 1 when any error is found; warnings alone exit 0.",
+    ].join("\n"),
+  );
+}
+
+function createPositionLookup(text) {
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i += 1) {
+    if (text[i] === "\n") {
+      lineStarts.push(i + 1);
+    }
+  }
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= offset) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+}
+
+function readDigits(text, index) {
+  let end = index;
+  while (end < text.length && text[end] >= "0" && text[end] <= "9") {
+    end += 1;
+  }
+  return {
+    value: end > index ? Number.parseInt(text.slice(index, end), 10) : null,
+    end,
+  };
+}
+
+function skipDots(text, index) {
+  let end = index;
+  while (end < text.length && text[end] === ".") {
+    end += 1;
+  }
+  return end;
+}
+
+function formatNote(unit) {
+  return unit.midi === null ? "r" : `n${unit.midi}`;
+}
+
+/**
+ * Tokenizes one part the way `parseMml` reads it, but reports what `parseMml` would skip or clamp: unknown characters,
+ * commands without values, zero lengths, octaves leaving the profile range, notes outside MIDI and broken ties.
+ * Command values (`t`/`v`/`o`), allowed commands and the length limit are left to `validateMmlPart`.
+ */
+function scanMmlPart(text, profile) {
+  const issues = [];
+  const report = (index, code, message) => issues.push({ index, severity: "error", code, message });
+  const octaveRange = profile.octave;
+
+  let octave = 4;
+  let lastUnit = null;
+  let tieable = false;
+  let tieIndex = -1;
+  let unknownStart = -1;
+
+  const flushUnknown = (end) => {
+    if (unknownStart >= 0) {
+      report(unknownStart, "unknown-token", `未知字元 "${text.slice(unknownStart, end)}"`);
+      unknownStart = -1;
+    }
+  };
+  const breakTie = (index, allowed) => {
+    if (tieIndex >= 0 && !allowed) {
+      report(tieIndex, "tie-target", `連結音 & 後面不是音符（遇到 "${text[index]}"）`);
+      tieIndex = -1;
+    }
+  };
+  const moveOctave = (index, next) => {
+    if (next < octaveRange.min || next > octaveRange.max) {
+      report(index, "octave-out-of-range", `八度 ${next} 超出範圍 ${octaveRange.min}..${octaveRange.max}`);
+    }
+    octave = Math.min(octaveRange.max, Math.max(octaveRange.min, next));
+  };
+  const playUnit = (index, unit, lengthValue) => {
+    if (lengthValue === 0) {
+      report(index, "invalid-length", "音長不可為 0");
+    }
+    if (tieIndex >= 0 && lastUnit && lastUnit.midi !== unit.midi) {
+      report(tieIndex, "tie-pitch", `連結音前後不同音（${formatNote(lastUnit)} & ${formatNote(unit)}）`);
+    }
+    tieIndex = -1;
+    lastUnit = unit;
+    tieable = true;
+  };
+
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    const lower = ch.toLowerCase();
+    const isKnown = /\s/.test(ch) || "tvolrn<>&".includes(lower) || Object.prototype.hasOwnProperty.call(NOTE_TO_SEMITONE, lower);
+    if (!isKnown) {
+      if (unknownStart < 0) {
+        unknownStart = i;
+      }
+      tieable = false;
+      i += 1;
+      continue;
+    }
+    flushUnknown(i);
+
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+
+    if (lower === "t" || lower === "v" || lower === "o") {
+      breakTie(i, false);
+      const { value, end } = readDigits(text, i + 1);
+      if (value === null) {
+        report(i, "missing-value", `${lower} 後面缺少數值`);
+      } else if (lower === "o") {
+        octave = Math.min(octaveRange.max, Math.max(octaveRange.min, value));
+      }
+      // A tempo change may sit between a note and its tie ("c4t90&c4").
+      tieable = tieable && lower === "t";
+      i = end;
+      continue;
+    }
+
+    if (lower === "l") {
+      breakTie(i, true);
+      const { value, end } = readDigits(text, i + 1);
+      if (value === null) {
+        report(i, "missing-value", "l 後面缺少數值");
+      } else if (value === 0) {
+        report(i, "invalid-length", "預設長度不可為 l0");
+      }
+      tieable = false;
+      i = skipDots(text, end);
+      continue;
+    }
+
+    if (ch === "<" || ch === ">") {
+      breakTie(i, true);
+      moveOctave(i, octave + (ch === "<" ? -1 : 1));
+      tieable = false;
+      i += 1;
+      continue;
+    }
+
+    if (ch === "&") {
+      if (!tieable) {
+        report(i, "tie-without-note", "& 前面沒有可連結的音符或休止符");
+      }
+      tieIndex = i;
+      tieable = false;
+      i += 1;
+      continue;
+    }
+
+    if (lower === "r") {
+      const { value, end } = readDigits(text, i + 1);
+      playUnit(i, { midi: null }, value);
+      i = skipDots(text, end);
+      continue;
+    }
+
+    if (lower === "n") {
+      const { value, end } = readDigits(text, i + 1);
+      if (value === null) {
+        report(i, "missing-value", "n 後面缺少音高");
+      } else if (value > 127) {
+        report(i, "note-out-of-range", `音高 n${value} 超出 MIDI 範圍 0..127`);
+      }
+      playUnit(i, { midi: value }, null);
+      i = skipDots(text, end);
+      continue;
+    }
+
+    let semitone = NOTE_TO_SEMITONE[lower];
+    let end = i + 1;
+    if (text[end] === "+" || text[end] === "#") {
+      semitone += 1;
+      end += 1;
+    } else if (text[end] === "-") {
+      semitone -= 1;
+      end += 1;
+    }
+    const midi = (octave + 1) * 12 + semitone;
+    if (midi < 0 || midi > 127) {
+      report(i, "note-out-of-range", `音高 ${text.slice(i, end)}（o${octave}）超出 MIDI 範圍 0..127`);
+    }
+    const length = readDigits(text, end);
+    playUnit(i, { midi }, length.value);
+    i = skipDots(text, length.end);
+  }
+  flushUnknown(text.length);
+  if (tieIndex >= 0) {
+    report(tieIndex, "tie-target", "連結音 & 後面沒有音符");
+  }
+  return issues;
+}
+
+function collectPartIssues(text, profile, part) {
+  const profileIssues = validateMmlPart(text, profile, part || null).map((issue) => ({
+    index: Math.min(issue.index, Math.max(0, text.length - 1)),
+    severity: "error",
+    code: issue.code,
+    message: issue.message,
+  }));
+  return scanMmlPart(text, profile)
+    .concat(profileIssues)
+    .sort((a, b) => a.index - b.index);
+}
+
+function splitMmlContent(content, contentOffset) {
+  const parts = [];
+  let start = 0;
+  for (let i = 0; i <= content.length; i += 1) {
+    if (i < content.length && content[i] !== ",") {
+      continue;
+    }
+    const raw = content.slice(start, i);
+    const leading = raw.length - raw.trimStart().length;
+    parts.push({ text: raw.trim(), offset: contentOffset + start + leading });
+    start = i + 1;
+  }
+  return parts;
+}
+
+function resolveValidationProfile(metadata, requested) {
+  const profile = requested ? loadProfile(requested) : resolveMetadataProfile(metadata);
+  return metadata.drums === "part" ? withDrumPart(profile) : profile;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function readBlockContext(source, start, end, profile) {
+  const context = source.slice(start, end);
+  const players = Array.from(context.matchAll(/合奏(\d+)/g));
+  const segmentTicks = Array.from(context.matchAll(/段長Ticks:\s*(\d+)/g));
+  const labelPattern = new RegExp(
+    `(${profile.parts.map((part) => escapeRegExp(part.label)).join("|")}):[ \\t]*(\\d+)[ \\t]*\\r?\\n([^\\r\\n]*)`,
+    "g",
+  );
+  const labels = Array.from(context.matchAll(labelPattern)).map((match) => ({
+    label: match[1],
+    count: Number.parseInt(match[2], 10),
+    text: match[3].trim(),
+    offset: start + match.index + match[0].length - match[3].length,
+  }));
+  const lastPlayer = players[players.length - 1];
+  const lastTicks = segmentTicks[segmentTicks.length - 1];
+  return {
+    player: lastPlayer ? Number.parseInt(lastPlayer[1], 10) : null,
+    playerOffset: lastPlayer ? start + lastPlayer.index : null,
+    segmentTicks: lastTicks ? Number.parseInt(lastTicks[1], 10) : null,
+    segmentTicksOffset: lastTicks ? start + lastTicks.index : null,
+    labels,
+  };
+}
+
+function findScoreBlocks(source, profile, report) {
+  const blocks = [];
+  const mmlPattern = /MML@/gi;
+  let previousEnd = 0;
+  let match = null;
+  while ((match = mmlPattern.exec(source)) !== null) {
+    const contentStart = match.index + match[0].length;
+    const terminator = source.indexOf(";", contentStart);
+    const nextMml = source.slice(contentStart).search(/MML@/i);
+    const nextMmlIndex = nextMml >= 0 ? contentStart + nextMml : source.length;
+    if (terminator < 0 || terminator > nextMmlIndex) {
+      report(match.index, "error", "unterminated-mml", "MML@ 缺少結尾的 ;");
+    }
+    const contentEnd = terminator >= 0 && terminator < nextMmlIndex ? terminator : nextMmlIndex;
+    blocks.push({
+      ...readBlockContext(source, previousEnd, match.index, profile),
+      offset: match.index,
+      parts: splitMmlContent(source.slice(contentStart, contentEnd), contentStart),
+    });
+    previousEnd = contentEnd;
+    mmlPattern.lastIndex = contentEnd;
+  }
+  if (blocks.length > 0) {
+    return blocks;
+  }
+
+  // Scores without MML@ lines carry the parts as label blocks only; a repeated label starts the next block.
+  const context = readBlockContext(source, 0, source.length, profile);
+  let seen = null;
+  for (const label of context.labels) {
+    if (!seen || seen.has(label.label)) {
+      seen = new Set();
+      blocks.push({ ...readBlockContext(source, 0, label.offset, profile), offset: label.offset, parts: [], labels: [] });
+    }
+    seen.add(label.label);
+    blocks[blocks.length - 1].parts.push({ text: label.text, offset: label.offset });
+  }
+  return blocks;
+}
+
+function checkLabels(block, profile, report) {
+  for (const label of block.labels) {
+    const index = profile.parts.findIndex((part) => part.label === label.label);
+    const part = block.parts[index];
+    if (label.count !== label.text.length) {
+      report(label.offset, "warning", "label-length", `${label.label} 標示長度 ${label.count}，實際 ${label.text.length}`);
+    }
+    if (part && part.text !== label.text) {
+      report(label.offset, "warning", "label-mismatch", `${label.label} 內容與 MML@ 內的聲部不一致`);
+    }
+  }
+}
+
+function checkSegments(blocks, metadata, report) {
+  const ensemble = blocks.some((block) => block.player !== null) || (Number.isInteger(metadata.players) && metadata.players > 1);
+  if (Number.isInteger(metadata.players) && metadata.players !== blocks.length) {
+    report(0, "error", "players-mismatch", `#META players=${metadata.players}，實際有 ${blocks.length} 張樂譜`);
+  }
+  if (!ensemble) {
+    return;
+  }
+
+  blocks.forEach((block, index) => {
+    if (block.player !== index + 1) {
+      report(block.playerOffset === null ? block.offset : block.playerOffset, "error", "player-index", `第 ${index + 1} 張樂譜應標示為 合奏${index + 1}`);
+    }
+    if (block.segmentTicks === null) {
+      report(block.offset, "error", "missing-segment-ticks", `合奏${index + 1} 缺少 段長Ticks`);
+    }
+  });
+
+  const totalTicks = Number.isInteger(metadata.totalTicks) ? metadata.totalTicks : null;
+  const withTicks = blocks.filter((block) => block.segmentTicks !== null);
+  if (totalTicks === null || withTicks.length === 0) {
+    return;
+  }
+  if (String(metadata.split || "").toLowerCase() === "parallel") {
+    for (const block of withTicks) {
+      if (block.segmentTicks !== totalTicks) {
+        report(block.segmentTicksOffset, "error", "segment-ticks", `平行合奏的 段長Ticks ${block.segmentTicks} 應等於 totalTicks=${totalTicks}`);
+      }
+    }
+    return;
+  }
+  const sum = withTicks.reduce((total, block) => total + block.segmentTicks, 0);
+  if (withTicks.length === blocks.length && sum !== totalTicks) {
+    const last = withTicks[withTicks.length - 1];
+    report(last.segmentTicksOffset, "error", "segment-ticks", `段長Ticks 總和 ${sum} 與 totalTicks=${totalTicks} 不符`);
+  }
+}
+
+function checkDurations(blocks, metadata, profile, report) {
+  const ppq = Number.isInteger(metadata.ppq) && metadata.ppq > 0 ? metadata.ppq : DEFAULT_PPQ;
+  const single = blocks.length === 1 && blocks[0].segmentTicks === null;
+  const players = blocks.map((block, index) => {
+    const segmentTicks = single && Number.isInteger(metadata.totalTicks) ? metadata.totalTicks : block.segmentTicks;
+    const durations = block.parts.map((part, partIndex) => {
+      const ticks = Math.round(parseMml(part.text).totalBeats * ppq);
+      const role = profile.parts[partIndex] ? profile.parts[partIndex].role : `part${partIndex + 1}`;
+      // The encoder rounds the last run up to its grid, so a part may run past the segment by less than a beat;
+      // `result-to-mid` cuts it there anyway.
+      if (Number.isInteger(segmentTicks) && ticks > segmentTicks + ppq) {
+        report(part.offset, "error", "part-too-long", `合奏${index + 1} ${role} 長度 ${ticks} ticks 超過段長 ${segmentTicks}`);
+      }
+      return ticks;
+    });
+    return { index: index + 1, ticks: Math.max(0, ...durations) };
+  });
+
+  if (String(metadata.split || "").toLowerCase() !== "parallel" || players.length < 2) {
+    return;
+  }
+  // Parallel sheets play at once, so every sheet should run as long as the others.
+  const longest = Math.max(...players.map((player) => player.ticks));
+  for (const player of players) {
+    if (player.ticks < longest) {
+      report(blocks[player.index - 1].offset, "warning", "player-duration", `合奏${player.index} 長度 ${player.ticks} ticks，比最長的 ${longest} ticks 短`);
+    }
+  }
+}
+
+/**
+ * Strictly checks a score (`Result.md` content or bare `MML@...;` strings) and returns every problem with its
+ * 1-based line and column. `severity` is `error` for anything `result-to-mid` would skip, clamp or misplace, and
+ * `warning` for inconsistencies that still convert the same way.
+ *
+ * @param {string} source
+ * @param {object} [options]
+ * @param {string|object} [options.profile] Profile name or JSON path; defaults to `#META profile`, else `default`.
+ * @returns {Array<{ line: number, column: number, severity: string, code: string, message: string }>}
+ */
+function validateScore(source, options = {}) {
+  const text = String(source || "");
+  const metadata = parseMetadata(text);
+  const profile = resolveValidationProfile(metadata, options.profile);
+  const issues = [];
+  const report = (offset, severity, code, message) => issues.push({ offset, severity, code, message });
+
+  const metaProfile = typeof metadata.profile === "string" ? metadata.profile.toLowerCase() : null;
+  if (!options.profile && metaProfile && !Object.prototype.hasOwnProperty.call(BUILTIN_PROFILES, metaProfile)) {
+    const scope = readPartLayout(metadata.parts) ? `聲部依 #META parts=，上限與指令以 ${DEFAULT_PROFILE_NAME}` : `以 ${DEFAULT_PROFILE_NAME}`;
+    report(0, "warning", "unknown-profile", `#META profile=${metadata.profile} 不是內建 profile，${scope} 檢查（可用 --profile 指定 JSON）`);
+  }
+  if (metadata.instruments !== undefined) {
+    try {
+      parseInstrumentSpec(metadata.instruments);
+    } catch (error) {
+      report(0, "warning", "unknown-instrument", `#META instruments=${metadata.instruments} 含無法辨識的聲部或樂器，result-to-mid 會略過這些項目`);
+    }
+  }
+
+  const blocks = findScoreBlocks(text, profile, report);
+  if (blocks.length === 0) {
+    report(0, "error", "no-score", "找不到 MML@...; 或聲部標籤");
+  }
+
+  blocks.forEach((block, blockIndex) => {
+    if (block.parts.length !== profile.parts.length) {
+      report(block.offset, "error", "part-count", `合奏${blockIndex + 1} 有 ${block.parts.length} 個聲部，profile ${profile.name} 需要 ${profile.parts.length} 個`);
+    }
+    block.parts.forEach((part, partIndex) => {
+      const profilePart = profile.parts[partIndex];
+      const role = profilePart ? profilePart.role : `part${partIndex + 1}`;
+      for (const issue of collectPartIssues(part.text, profile, profilePart)) {
+        report(part.offset + issue.index, issue.severity, issue.code, `${issue.message}（合奏${blockIndex + 1} ${role}）`);
+      }
+    });
+    checkLabels(block, profile, report);
+  });
+  checkSegments(blocks, metadata, report);
+  checkDurations(blocks, metadata, profile, report);
+
+  const locate = createPositionLookup(text);
+  return issues
+    .sort((a, b) => a.offset - b.offset)
+    .map(({ offset, ...issue }) => ({ ...locate(offset), ...issue }));
+}
+
+function main() {
+  let parsed;
+  try {
+    parsed = parseArgs(process.argv);
+  } catch (error) {
+    console.error(error.message);
+    printHelp();
+    process.exitCode = 1;
+    return;
+  }
+
+  if (parsed.help) {
+    printHelp();
+    return;
+  }
+
+  const inputPath = path.resolve(parsed.input);
+  let source;
+  let sourceName;
+  if (fs.existsSync(inputPath)) {
+    source = fs.readFileSync(inputPath, "utf8");
+    sourceName = parsed.input;
+  } else if (/^\s*MML@/i.test(parsed.input)) {
+    source = parsed.input;
+    sourceName = "<mml>";
+  } else {
+    console.error(`找不到檔案: ${inputPath}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  let issues;
+  try {
+    issues = validateScore(source, { profile: parsed.profile });
+  } catch (error) {
+    console.error(`檢查失敗: ${error.message}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  for (const issue of issues) {
+    const label = issue.severity === "error" ? "錯誤" : "警告";
+    console.log(`${sourceName}:${issue.line}:${issue.column} ${label} ${issue.code}: ${issue.message}`);
+  }
+  const errorCount = issues.filter((issue) => issue.severity === "error").length;
+  console.log(`檢查完成: ${errorCount} 個錯誤, ${issues.length - errorCount} 個警告`);
+  if (errorCount > 0) {
+    process.exitCode = 1;
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  validateScore,
+};